@@ -206,6 +206,8 @@ AssetLoader.add = function(asset) {
 		AssetLoader.add.json(asset);
 	} else if (fileType === 'css') {
 		AssetLoader.add.css(asset);
+	} else if (fileType === 'fnt' || fileType === 'xml') {
+		AssetLoader.add.text(asset);
 	} else {
 		throw new Error('Unsupported file-type (' + fileType + ') passed to AssetLoader.add.');
 	}
@@ -316,6 +318,21 @@ AssetLoader.add.json = function(asset) {
 	});
 };
 
+/**
+ * Loader that takes care of loading plain text files, such as BMFont .fnt and .xml files
+ *
+ * @param {string} asset
+ */
+
+AssetLoader.add.text = function(asset) {
+	AssetLoader.push(function(done) {
+		loadGeneric(asset, function(response) {
+			AssetLoader.done(asset, response);
+			done();
+		});
+	});
+};
+
 /**
  * Loader that takes care of loading scripts
  *
@@ -0,0 +1,227 @@
+var Sprite = require('./Sprite.js');
+
+/**
+ * AnimatedSprite
+ * @extends ThreeUI.Sprite
+ *
+ * Plays a sequence of frames from a sheet, advanced by ThreeUI.update
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createAnimatedSprite instead to create animated sprites
+ *
+ * @param {ThreeUI} ui
+ * @param {string[]|string} frames List of frame names, or a prefix that all frame names in the sheet starting with it are taken from
+ * @param {string} sheetImagePath
+ * @param {string} sheetDataPath
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ */
+
+var AnimatedSprite = function(ui, frames, sheetImagePath, sheetDataPath, x, y, width, height) {
+	if (typeof frames === 'string') {
+		var sheetData = AssetLoader.getAssetById(sheetDataPath);
+		frames = AnimatedSprite.getFrameNamesByPrefix(sheetData, frames, sheetDataPath);
+	}
+
+	if (!frames || frames.length === 0) {
+		throw new Error('No frames found for animated sprite in sheet "' + sheetDataPath + '"');
+	}
+
+	// Run Sprite constructor on this object
+	Sprite.bind(this)(ui, frames[0], x, y, width, height, sheetImagePath, sheetDataPath);
+
+	this.frames = frames;
+	this.fps = 24;
+	this.frameDurations = null; // Optional duration per frame in milliseconds, overrides fps
+	this.loop = true;
+	this.pingPong = false; // Play back and forth instead of restarting from the first frame
+
+	this.currentFrame = 0;
+	this.playing = false;
+	this.completed = false;
+	this.direction = 1;
+	this.frameTime = 0;
+
+	this.frameCallbacks = [];
+	this.completeCallbacks = [];
+};
+
+AnimatedSprite.prototype = Object.create(Sprite.prototype);
+
+/**
+ * Get all frame names in sheet data that start with the given prefix, in natural order (frame2 before frame10)
+ *
+ * @param {Object} sheetData
+ * @param {string} prefix
+ * @param {string} sheetDataPath Used in error messages
+ * @return {string[]}
+ */
+
+AnimatedSprite.getFrameNamesByPrefix = function(sheetData, prefix, sheetDataPath) {
+	var names = Object.keys(Sprite.getSheetFrames(sheetData, sheetDataPath));
+
+	return names.filter(function(name) {
+		return name.indexOf(prefix) === 0;
+	}).sort(function(a, b) {
+		return a.localeCompare(b, undefined, { numeric: true });
+	});
+};
+
+/**
+ * Start playing from the current frame, or from the start when the animation was completed
+ */
+
+AnimatedSprite.prototype.play = function() {
+	if (this.completed) {
+		this.completed = false;
+		this.direction = 1;
+		this.setFrame(0);
+	}
+
+	this.playing = true;
+};
+
+/**
+ * Stop playing, the current frame stays visible
+ */
+
+AnimatedSprite.prototype.stop = function() {
+	this.playing = false;
+};
+
+/**
+ * Show the given frame and start playing from there
+ *
+ * @param {int|string} frame Frame index or name
+ */
+
+AnimatedSprite.prototype.gotoAndPlay = function(frame) {
+	this.gotoAndStop(frame);
+	this.playing = true;
+};
+
+/**
+ * Show the given frame and stop playing
+ *
+ * @param {int|string} frame Frame index or name
+ */
+
+AnimatedSprite.prototype.gotoAndStop = function(frame) {
+	var index = typeof frame === 'string' ? this.frames.indexOf(frame) : frame;
+	if (index < 0 || index >= this.frames.length) {
+		throw new Error('Frame "' + frame + '" does not exist in this animated sprite');
+	}
+
+	this.playing = false;
+	this.completed = false;
+	this.frameTime = 0;
+	this.setFrame(index);
+};
+
+/**
+ * Attach a callback that is called every time the frame changes
+ *
+ * @param {Function} callback Is passed the AnimatedSprite, the frame index and the frame name
+ */
+
+AnimatedSprite.prototype.onFrame = function(callback) {
+	this.frameCallbacks.push(callback);
+};
+
+/**
+ * Attach a callback that is called when a non-looping animation is done
+ *
+ * @param {Function} callback Is passed the AnimatedSprite
+ */
+
+AnimatedSprite.prototype.onComplete = function(callback) {
+	this.completeCallbacks.push(callback);
+};
+
+/**
+ * Get the duration of a frame in milliseconds
+ *
+ * @param {int} index
+ * @return {float}
+ */
+
+AnimatedSprite.prototype.getFrameDuration = function(index) {
+	var duration = 1000 / this.fps;
+	if (this.frameDurations && typeof this.frameDurations[index] === 'number') {
+		duration = this.frameDurations[index];
+	}
+
+	// Frames need some duration, or updates would never finish
+	return Math.max(1, duration);
+};
+
+/**
+ * Advance the animation, called by ThreeUI.update
+ *
+ * @param {int} deltaTime In milliseconds
+ */
+
+AnimatedSprite.prototype.update = function(deltaTime) {
+	if (!this.playing) return;
+
+	this.frameTime += deltaTime;
+
+	while (this.playing && this.frameTime >= this.getFrameDuration(this.currentFrame)) {
+		this.frameTime -= this.getFrameDuration(this.currentFrame);
+		this.nextFrame();
+	}
+};
+
+/**
+ * Used internally to move on to the next frame, taking loop and pingPong into account
+ */
+
+AnimatedSprite.prototype.nextFrame = function() {
+	var length = this.frames.length;
+	var next = this.currentFrame + this.direction;
+
+	if (next >= length || next < 0) {
+		if (this.pingPong && this.direction === 1 && length > 1) {
+			this.direction = -1;
+			next = this.currentFrame - 1;
+		} else if (this.loop) {
+			this.direction = 1;
+			next = this.pingPong && length > 1 ? 1 : 0;
+		} else {
+			this.playing = false;
+			this.completed = true;
+			this.frameTime = 0;
+
+			var self = this;
+			this.completeCallbacks.forEach(function(callback) {
+				callback(self);
+			});
+			return;
+		}
+	}
+
+	this.setFrame(next);
+};
+
+/**
+ * Used internally to show the frame with the given index
+ *
+ * @param {int} index
+ */
+
+AnimatedSprite.prototype.setFrame = function(index) {
+	if (index === this.currentFrame && this.assetPath === this.frames[index]) return;
+
+	this.currentFrame = index;
+	this.setAssetPath(this.frames[index]);
+
+	var self = this;
+	this.frameCallbacks.forEach(function(callback) {
+		callback(self, index, self.frames[index]);
+	});
+};
+
+// Export AnimatedSprite as module
+module.exports = AnimatedSprite;
@@ -1,4 +1,6 @@
 var DisplayObject = require('./DisplayObject.js');
+var bitmapFont = require('./utils/bitmapFont.js');
+var wordWrap = require('./utils/wordWrap.js');
 
 /**
  * BitmapText
@@ -9,18 +11,29 @@ var DisplayObject = require('./DisplayObject.js');
  *
  * @param {ThreeUI} ui
  * @param {string} text
- * @param {float} scale
+ * @param {float} fontScale Scale of the characters relative to their size in the sheet
  * @param {int} x
  * @param {int} y
+ * @param {string|string[]} sheetImagePath Image per page, optional for BMFont data
+ * @param {string} sheetDataPath BMFont data (text, XML or JSON) or JSON with UV coordinates per character
  */
 
 var fallbackWidth = 6;
-var fallbackHeight = 6;
 
-var BitmapText = function(ui, text, scale, x, y, sheetImagePath, sheetDataPath) {
+// Parsed BMFont data per data path, shared by all BitmapTexts
+var parsedFonts = {};
+
+// Setting a number on scale warns only once
+var warnedAboutScale = false;
+
+var BitmapText = function(ui, text, fontScale, x, y, sheetImagePath, sheetDataPath) {
 	this.parseSheet(sheetImagePath, sheetDataPath);
 
-	this.scale = typeof scale !== 'undefined' ? scale : 1;
+	this.fontScale = typeof fontScale !== 'undefined' ? fontScale : 1;
+	this.maxWidth = 0; // Wrap words to fit within this width, 0 to disable
+	this.align = 'left'; // left, center, right or justify
+	this.letterSpacing = 0; // Extra space between characters
+	this.lineHeight = 1; // Modifier on the line height of the font
 
 	this.setText(text);
 
@@ -50,6 +63,15 @@ BitmapText.prototype.setText = function(text) {
 	this.text = typeof text !== 'undefined' ? text.toString() : '';
 	this.characters = this.text.split('');
 
+	this.updateDimensions();
+};
+
+/**
+ * Update width and height to the size of the laid out text
+ * Called automatically when the text or a property that affects the layout changes
+ */
+
+BitmapText.prototype.updateDimensions = function() {
 	var dimensions = this.calculateDimensions();
 	this.width = dimensions.width;
 	this.height = dimensions.height;
@@ -57,34 +79,99 @@ BitmapText.prototype.setText = function(text) {
 
 /**
  * Parse a sheet from its image and data
+ * The data is either BMFont data (text, XML or JSON) or JSON with UV coordinates per character
  *
- * @param {string} sheetImagePath
+ * @param {string|string[]} sheetImagePath Image per page, for BMFont data the pages are resolved relative to sheetDataPath when omitted
  * @param {string} sheetDataPath
  */
 
 BitmapText.prototype.parseSheet = function(sheetImagePath, sheetDataPath) {
-	if(typeof sheetImagePath === 'undefined' && !this.sheet) {
-		throw new Error('Sheet image path missing when creating sprite from sheet');
-	}
-
 	if(typeof sheetDataPath === 'undefined' && !this.sheetData) {
 		throw new Error('Sheet data path missing when creating sprite from sheet');
 	}
 
-	if (sheetImagePath || !this.sheet) {
-		this.sheet = AssetLoader.getAssetById(sheetImagePath);
-	}
-
 	if (sheetDataPath || !this.sheetData) {
 		this.sheetData = AssetLoader.getAssetById(sheetDataPath);
+		this.sheetDataPath = sheetDataPath;
+	}
+
+	if (!this.sheetData) {
+		throw new Error('Invalid sheet data ' + sheetDataPath + ' -- not loaded');
+	}
+
+	if (bitmapFont.isBMFont(this.sheetData)) {
+		this.parseBMFont(sheetImagePath);
+	} else {
+		this.parseUVSheet(sheetImagePath);
+	}
+};
+
+/**
+ * Used internally to parse BMFont data, parsed fonts are cached per data path
+ *
+ * @param {string|string[]} sheetImagePath
+ */
+
+BitmapText.prototype.parseBMFont = function(sheetImagePath) {
+	if (!parsedFonts[this.sheetDataPath]) {
+		parsedFonts[this.sheetDataPath] = bitmapFont.parse(this.sheetData);
+	}
+
+	this.font = parsedFonts[this.sheetDataPath];
+
+	var pagePaths;
+	if (Array.isArray(sheetImagePath)) {
+		pagePaths = sheetImagePath;
+	} else if (sheetImagePath) {
+		pagePaths = [sheetImagePath];
+	} else {
+		var directory = this.sheetDataPath.substr(0, this.sheetDataPath.lastIndexOf('/') + 1);
+		pagePaths = this.font.pages.map(function(file) {
+			return directory + file;
+		});
+	}
+
+	this.pages = pagePaths.map(function(pagePath) {
+		var page = AssetLoader.getAssetById(pagePath);
+		if (!page) {
+			throw new Error('Bitmap font page ' + pagePath + ' is not loaded');
+		}
+
+		return page;
+	});
+
+	this.sheet = this.pages[0];
+};
+
+/**
+ * Used internally to parse JSON with UV coordinates per character into the same structure as BMFont data
+ *
+ * @param {string} sheetImagePath
+ */
+
+BitmapText.prototype.parseUVSheet = function(sheetImagePath) {
+	if(typeof sheetImagePath === 'undefined' && !this.sheet) {
+		throw new Error('Sheet image path missing when creating sprite from sheet');
+	}
+
+	if (sheetImagePath || !this.sheet) {
+		this.sheet = AssetLoader.getAssetById(sheetImagePath);
+		this.pages = [this.sheet];
 	}
 
 	if (typeof this.sheetData !== 'object') {
-		throw new Error('Invalid sheet data ' + sheetDataPath + ' -- not an object');
+		throw new Error('Invalid sheet data ' + this.sheetDataPath + ' -- not an object');
 	}
 
+	this.font = {
+		lineHeight: 0,
+		base: 0,
+		pages: [sheetImagePath],
+		glyphs: {},
+		kernings: {},
+	};
+
 	// Parse all characters
-	this.characterData = {};
 	var keys = Object.keys(this.sheetData);
 	var length = keys.length;
 	for (var i = 0;i < length;i++) {
@@ -98,18 +185,28 @@ BitmapText.prototype.parseSheet = function(sheetImagePath, sheetDataPath) {
 		data['uv1'][1] = Math.min(1, Math.max(0, data['uv1'][1]));
 
 		// Calculate pixel coordinates
-		this.characterData[char] = {
+		var glyph = {
 			x: Math.round(data['uv0'][0] * this.sheet.width),
 			y: Math.round((1 - data['uv0'][1]) * this.sheet.height),
 			width: Math.round((data['uv1'][0] - data['uv0'][0]) * this.sheet.width),
 			height: Math.round((data['uv0'][1] - data['uv1'][1]) * this.sheet.height),
+			xoffset: 0,
+			yoffset: 0,
+			page: 0,
 		};
 
 		// Width and height need to be bigger than 0 or some browsers will break
-		var cData = this.characterData[char];
-		cData.width = Math.max(0.00001, cData.width);
-		cData.height = Math.max(0.00001, cData.height);
+		glyph.width = Math.max(0.00001, glyph.width);
+		glyph.height = Math.max(0.00001, glyph.height);
+
+		// Characters are placed right next to each other
+		glyph.xadvance = glyph.width;
+
+		this.font.glyphs[char] = glyph;
+		this.font.lineHeight = Math.max(this.font.lineHeight, glyph.height);
 	}
+
+	this.font.base = this.font.lineHeight;
 };
 
 /**
@@ -120,30 +217,187 @@ BitmapText.prototype.parseSheet = function(sheetImagePath, sheetDataPath) {
  */
 
 BitmapText.prototype.calculateDimensions = function() {
-	var dimensions = {
-		width: 0,
-		height: 0,
+	var layout = this.layoutCharacters();
+
+	return {
+		width: layout.width,
+		height: layout.height,
 	};
+};
 
-	var length = this.characters.length;
+/**
+ * Calculates where each character is drawn, relative to the top left of this BitmapText
+ * Handles line breaks, word wrapping, alignment, letter spacing and line height
+ * Internal use only
+ *
+ * @return {object} {placements: [{glyph, x, y}], width, height}
+ */
+
+BitmapText.prototype.layoutCharacters = function() {
+	var font = this.font;
+	var lineAdvance = font.lineHeight * this.lineHeight;
+	var maxWidth = this.maxWidth > 0 ? this.maxWidth / this.fontScale : Infinity;
+
+	var lines = [];
+	this.text.split('\n').forEach(function(paragraph) {
+		lines = lines.concat(this.wrapParagraph(paragraph, maxWidth));
+	}, this);
+
+	var lineWidths = lines.map(function(line) {
+		return this.layoutLine(line.characters, 0, 0, 0, null);
+	}, this);
+	var width = Math.max.apply(Math, [0].concat(lineWidths));
+
+	var placements = [];
+	lines.forEach(function(line, idx) {
+		var offsetX = 0;
+		var extraSpacing = 0;
+
+		if (this.align === 'center') {
+			offsetX = (width - lineWidths[idx]) / 2;
+		} else if (this.align === 'right') {
+			offsetX = width - lineWidths[idx];
+		} else if (this.align === 'justify' && line.wrapped) {
+			// Spread the remaining space over the spaces, the last line of a paragraph isn't justified
+			var spaces = line.characters.filter(function(character) {
+				return character === ' ';
+			}).length;
+
+			if (spaces > 0) {
+				extraSpacing = (width - lineWidths[idx]) / spaces;
+			}
+		}
+
+		this.layoutLine(line.characters, offsetX, idx * lineAdvance, extraSpacing, placements);
+	}, this);
+
+	return {
+		placements: placements,
+		width: width * this.fontScale,
+		height: ((lines.length - 1) * lineAdvance + font.lineHeight) * this.fontScale,
+	};
+};
+
+/**
+ * Split a paragraph into lines that fit within maxWidth, breaking on spaces
+ * Words that don't fit on a line by themselves are broken up
+ * Internal use only
+ *
+ * @param {string} paragraph
+ * @param {float} maxWidth In font units
+ * @return {object[]} lines [{characters, wrapped}]
+ */
+
+BitmapText.prototype.wrapParagraph = function(paragraph, maxWidth) {
+	var lines = wordWrap.wrap(paragraph.split(''), maxWidth, function(characters) {
+		return this.layoutLine(characters, 0, 0, 0, null);
+	}.bind(this));
+
+	return lines.map(function(line) {
+		return { characters: line.units, wrapped: line.wrapped };
+	});
+};
+
+/**
+ * Lay out a single line of characters using the offsets, advance and kerning of the font
+ * Internal use only
+ *
+ * @param {string[]} characters
+ * @param {float} offsetX In font units
+ * @param {float} offsetY In font units
+ * @param {float} extraSpacing Added after every space, in font units
+ * @param {object[]|null} placements Placements are added to this array, pass null to only measure
+ * @return {float} width of the line in font units
+ */
+
+BitmapText.prototype.layoutLine = function(characters, offsetX, offsetY, extraSpacing, placements) {
+	var font = this.font;
+	var letterSpacing = this.letterSpacing / this.fontScale;
+	var penX = 0;
+	var width = 0;
+	var previous = null;
+
+	var length = characters.length;
 	for (var i = 0;i < length;i++) {
-		var character = this.characters[i];
-		if (!this.characterData[character]) {
-			// Take dimensions of first existing character instead
-			character = Object.keys(this.characterData)[0];
+		var character = characters[i];
+		var glyph = font.glyphs[character];
+
+		if (i > 0) {
+			penX += letterSpacing;
 		}
 
-		var data = this.characterData[character];
-		dimensions.width += data ? data.width : 0;
-		dimensions.height = Math.max(dimensions.height, data ? data.height : 0);
-	}
+		if (previous && font.kernings[previous] && font.kernings[previous][character]) {
+			penX += font.kernings[previous][character];
+		}
+
+		if (typeof glyph === 'undefined') { // Character does not exist in this BitmapText
+			penX += fallbackWidth;
+			width = Math.max(width, penX);
+			previous = null;
+			continue;
+		}
+
+		if (placements) {
+			placements.push({
+				glyph: glyph,
+				x: (offsetX + penX + glyph.xoffset) * this.fontScale,
+				y: (offsetY + glyph.yoffset) * this.fontScale,
+			});
+		}
+
+		width = Math.max(width, penX + glyph.xoffset + glyph.width, penX + glyph.xadvance);
+		penX += glyph.xadvance;
+		previous = character;
 
-	dimensions.width *= this.scale;
-	dimensions.height *= this.scale;
+		if (character === ' ') {
+			penX += extraSpacing;
+		}
+	}
 
-	return dimensions;
+	return width;
 };
 
+/**
+ * Properties that affect the layout update the dimensions when set
+ */
+['fontScale', 'maxWidth', 'align', 'letterSpacing', 'lineHeight'].forEach(function(prop) {
+	Object.defineProperty(BitmapText.prototype, '_proxied_' + prop, { // Set on proxied, as we're already observing
+		get: function() {
+			return this['_' + prop];
+		},
+		set: function(value) {
+			this['_' + prop] = value;
+
+			if (this.characters) {
+				this.updateDimensions();
+			}
+		},
+	});
+});
+
+/**
+ * scale used to be the font scale of BitmapText, numbers set on it are passed on to fontScale
+ * so code written for the old BitmapText keeps working, scale is the {x, y} transform scale now
+ */
+Object.defineProperty(BitmapText.prototype, '_proxied_scale', { // Set on proxied, as we're already observing
+	get: function() {
+		return this._scale;
+	},
+	set: function(value) {
+		if (typeof value !== 'number') {
+			this._scale = value;
+			return;
+		}
+
+		if (!warnedAboutScale) {
+			console.warn('BitmapText.scale is the { x, y } transform scale now, use BitmapText.fontScale to scale the font');
+			warnedAboutScale = true;
+		}
+
+		this.fontScale = value;
+	},
+});
+
 /**
  * Draw this BitmapText onto the provided context
  * Used internally by DisplayObject.render
@@ -154,52 +408,32 @@ BitmapText.prototype.calculateDimensions = function() {
  */
 
 BitmapText.prototype.draw = function(context, x, y) {
-	var length = this.characters.length;
+	var placements = this.layoutCharacters().placements;
+	var length = placements.length;
 	for (var i = 0;i < length;i++) {
-		var character = this.characters[i];
-		var bounds = this.drawCharacter(context, character, x, y);
-
-		// Move up coordinates for the next character
-		x = bounds.x + bounds.width;
-		y = bounds.y;
+		var placement = placements[i];
+		this.drawCharacter(context, placement.glyph, x + placement.x, y + placement.y);
 	}
 };
 
 /**
- * Draw give character BitmapText onto the provided context
+ * Draw given glyph of this BitmapText onto the provided context
  * Used internally by DisplayObject.render
  *
  * @param {CanvasRenderingContext2D} context
+ * @param {Object} glyph
  * @param {int} x
  * @param {int} y
- * @return {object} {x,y, width, height} returns bounding box
  */
 
-BitmapText.prototype.drawCharacter = function(context, character, x, y) {
-	var data = this.characterData[character];
-	var skipDraw = false;
+BitmapText.prototype.drawCharacter = function(context, glyph, x, y) {
+	// Skip glyphs without pixels, like spaces
+	if (glyph.width <= 0 || glyph.height <= 0) return;
 
-	if (typeof data === 'undefined') { // Character does not exist in this BitmapText
-		data = {
-			width: fallbackWidth,
-			height: fallbackHeight,
-		};
-		skipDraw = true;
-	}
-
-	var width = data.width * this.scale;
-	var height = data.height * this.scale;
-
-	if (!skipDraw) {
-		context.drawImage(this.sheet, data.x, data.y, data.width, data.height, x, y, width, height);
-	}
+	var width = glyph.width * this.fontScale;
+	var height = glyph.height * this.fontScale;
 
-	return {
-		x: x,
-		y: y,
-		width: width,
-		height: height,
-	};
+	context.drawImage(this.pages[glyph.page], glyph.x, glyph.y, glyph.width, glyph.height, x, y, width, height);
 };
 
 
@@ -0,0 +1,51 @@
+var DisplayObject = require('./DisplayObject.js');
+
+/**
+ * Container
+ * @extends ThreeUI.DisplayObject
+ *
+ * DisplayObject without visuals of its own, used to group other DisplayObjects
+ * Moving, hiding, fading or destroying a Container does the same to its children
+ * Containers aren't interactive by default, so they don't block events to the DisplayObjects below them,
+ * events on their children still bubble up to them
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createContainer instead to create containers
+ *
+ * @param {ThreeUI} ui
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the Container stretches to fill its parent
+ * @param {int} height
+ */
+
+var Container = function(ui, x, y, width, height) {
+	var shouldStretch = typeof width === 'undefined' && typeof height === 'undefined';
+
+	// Run DisplayObject constructor on this object
+	DisplayObject.bind(this)(ui, x, y, width, height);
+
+	this.interactive = false;
+
+	if (shouldStretch) {
+		this.stretch.x = true;
+		this.stretch.y = true;
+	}
+};
+
+Container.prototype = Object.create(DisplayObject.prototype);
+
+/**
+ * Containers have nothing to draw themselves, their children are drawn by ThreeUI.draw
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ */
+
+Container.prototype.draw = function(context, x, y, width, height) {};
+
+// Export Container as module
+module.exports = Container;
@@ -1,4 +1,6 @@
 var anchors = require('./anchors.js');
+var matrix = require('./utils/matrix.js');
+var units = require('./utils/units.js');
 
 /**
  * DisplayObject
@@ -6,10 +8,12 @@ var anchors = require('./anchors.js');
  * Used internally by ThreeUI, shouldn't be used directly
  * Use ThreeUI.createSprite and ThreeUI.createRectangle methods instead
  *
+ * x, y, width, height and offsets can be numbers, percentages of the parent ('50%') or sums of those ('100% - 20')
+ *
  * @param {ThreeUI} ui
  * @param {string} assetId
- * @param {int} x
- * @param {int} y
+ * @param {int|string} x
+ * @param {int|string} y
  */
 
 var DisplayObject = function(ui, x, y, width, height) {
@@ -18,7 +22,15 @@ var DisplayObject = function(ui, x, y, width, height) {
 	this.y = typeof y !== 'undefined' ? y : 0;
 	this.width = typeof width !== 'undefined' ? width : 0;
 	this.height = typeof height !== 'undefined' ? height : 0;
-	this.rotation = 0;
+	this.rotation = 0; // In degrees
+	this.scale = {
+		x: 1,
+		y: 1
+	};
+	this.skew = { // In degrees
+		x: 0,
+		y: 0
+	};
 	this.alpha = 1;
 	this.visible = true;
 	this.pivot = {
@@ -30,6 +42,7 @@ var DisplayObject = function(ui, x, y, width, height) {
 		y: anchors.top
 	};
 	this.smoothing = true;
+	this.anchorToSafeArea = false; // Position within the safe area of the UI, so notches and rounded corners don't cover this DisplayObject
 	this.stretch = {
 		x: false,
 		y: false
@@ -40,18 +53,89 @@ var DisplayObject = function(ui, x, y, width, height) {
 		right: 0,
 		bottom: 0
 	};
+	this.minSize = { // Numbers or percentages, null for no constraint
+		width: null,
+		height: null
+	};
+	this.maxSize = {
+		width: null,
+		height: null
+	};
+	this.aspectRatio = null; // Width divided by height, the height follows the width unless only the height is stretched
+	this.flex = { // How much this DisplayObject grows or shrinks relative to its siblings in a FlexBox
+		grow: 0,
+		shrink: 0
+	};
+	this.layoutRect = null; // Set by layout containers, overrides the position and size within the parent
+	this.breakpoints = []; // See addBreakpoint
+	this.breakpointDefaults = {}; // Values of the properties that are currently overridden by a breakpoint
+	this.breakpointValues = {}; // Values the breakpoints set those properties to, to find the properties that were set since
+	this.children = [];
 	this.parent = undefined;
+	this.hitArea = null; // Shape from ThreeUI.hitAreas to use instead of the bounds for hit testing
+	this.interactive = true; // Set to false to let events pass through to the DisplayObjects below
+	this.hovered = false; // Whether the pointer is currently over this DisplayObject
+	this.drawnBounds = null; // Part of the canvas this DisplayObject was drawn on by the previous draw, see ThreeUI.partialRedraw
 };
 
 /**
  * Get the bounds for the DisplayObject's position in the canvas
+ * x, y, width and height describe the box before any scale, rotation or skew is applied,
+ * quad holds the four transformed corners (top left, top right, bottom right, bottom left)
+ * and aabb the axis-aligned box around them
  *
- * @return {Object} position {x, y, width, height}
+ * @return {Object} bounds {x, y, width, height, quad, aabb}
  */
 
 DisplayObject.prototype.getBounds = function() {
-	var position = this.determinePositionInCanvas();
-	var dimensions = this.determineDimensionsInCanvas();
+	var bounds = this.getLayoutBounds();
+	var transform = this.getWorldTransform(bounds);
+
+	var quad = [
+		matrix.apply(transform, bounds.x, bounds.y),
+		matrix.apply(transform, bounds.x + bounds.width, bounds.y),
+		matrix.apply(transform, bounds.x + bounds.width, bounds.y + bounds.height),
+		matrix.apply(transform, bounds.x, bounds.y + bounds.height),
+	];
+
+	var xs = quad.map(function(point) { return point.x; });
+	var ys = quad.map(function(point) { return point.y; });
+	var minX = Math.min.apply(Math, xs);
+	var minY = Math.min.apply(Math, ys);
+
+	bounds.quad = quad;
+	bounds.aabb = {
+		x: minX,
+		y: minY,
+		width: Math.max.apply(Math, xs) - minX,
+		height: Math.max.apply(Math, ys) - minY
+	};
+
+	return bounds;
+};
+
+/**
+ * Get the untransformed bounds for the DisplayObject's position in the canvas, based on anchor, pivot, stretch and offset
+ * or on the position and size given by the layout container it's in
+ * Children are laid out within these bounds, after which the transform of this DisplayObject is applied to them as well
+ *
+ * @return {Object} position {x, y, width, height}
+ */
+
+DisplayObject.prototype.getLayoutBounds = function() {
+	var parentBounds = this.getParentBounds();
+
+	if (this.layoutRect) {
+		return {
+			x: parentBounds.x + this.layoutRect.x,
+			y: parentBounds.y + this.layoutRect.y,
+			width: this.layoutRect.width,
+			height: this.layoutRect.height
+		};
+	}
+
+	var dimensions = this.determineDimensionsInCanvas(parentBounds);
+	var position = this.determinePositionInCanvas(parentBounds, dimensions);
 
 	return {
 		x: position.x,
@@ -61,42 +145,121 @@ DisplayObject.prototype.getBounds = function() {
 	};
 };
 
+/**
+ * Get the size this DisplayObject would have on its own, used by layout containers to measure their children
+ *
+ * @return {Object} size {width, height}
+ */
+
+DisplayObject.prototype.getNaturalSize = function() {
+	return this.determineDimensionsInCanvas();
+};
+
+/**
+ * Get the transform of this DisplayObject relative to its parent
+ * Scale, skew and rotation are applied around the pivot point
+ *
+ * @param {Object} bounds Layout bounds, as returned by getLayoutBounds
+ * @return {Array} matrix [a, b, c, d, e, f]
+ */
+
+DisplayObject.prototype.getLocalTransform = function(bounds) {
+	bounds = bounds || this.getLayoutBounds();
+
+	var transform = matrix.identity();
+	if (!this.rotation && !this.skew.x && !this.skew.y && this.scale.x === 1 && this.scale.y === 1) {
+		return transform;
+	}
+
+	var pivotX = bounds.x + bounds.width * this.pivot.x;
+	var pivotY = bounds.y + bounds.height * this.pivot.y;
+	var toRadians = Math.PI / 180;
+
+	transform = matrix.translate(transform, pivotX, pivotY);
+	transform = matrix.rotate(transform, this.rotation * toRadians);
+	transform = matrix.skew(transform, this.skew.x * toRadians, this.skew.y * toRadians);
+	transform = matrix.scale(transform, this.scale.x, this.scale.y);
+	transform = matrix.translate(transform, -pivotX, -pivotY);
+
+	return transform;
+};
+
+/**
+ * Get the transform of this DisplayObject in the canvas, its local transform composed with those of its parents
+ *
+ * @param {Object} bounds Layout bounds, as returned by getLayoutBounds
+ * @return {Array} matrix [a, b, c, d, e, f]
+ */
+
+DisplayObject.prototype.getWorldTransform = function(bounds) {
+	var transform = this.getLocalTransform(bounds);
+
+	if (this.parent) {
+		transform = matrix.multiply(this.parent.getWorldTransform(), transform);
+	}
+
+	return transform;
+};
+
 /**
  * Get the bounds for this DisplayObject's parent
+ * When anchored to the safe area, only the part of the parent within the safe area of the UI
  *
  * @return {Object} position {x, y, width, height}
  */
 
 DisplayObject.prototype.getParentBounds = function () {
+	var bounds;
+
 	if (typeof this.parent === 'undefined') {
-		return {
+		bounds = {
 			x: 0,
 			y: 0,
 			width: this.ui.width,
 			height: this.ui.height
 		};
 	} else if (this.parent instanceof DisplayObject) {
-		return this.parent.getBounds();
+		bounds = this.parent.getLayoutBounds();
 	} else {
 		throw new Error('DisplayObject.parent should always be an instance of DisplayObject');
 	}
+
+	// Layout containers position their children themselves
+	if (!this.anchorToSafeArea || this.layoutRect) {
+		return bounds;
+	}
+
+	var safeArea = this.ui.getSafeArea();
+	var x = Math.max(bounds.x, safeArea.x);
+	var y = Math.max(bounds.y, safeArea.y);
+
+	return {
+		x: x,
+		y: y,
+		width: Math.max(0, Math.min(bounds.x + bounds.width, safeArea.x + safeArea.width) - x),
+		height: Math.max(0, Math.min(bounds.y + bounds.height, safeArea.y + safeArea.height) - y)
+	};
 };
 
 /**
  * Determine the DisplayObject's actual position in the canvas based on anchor and pivot
  *
+ * @param {Object} parentBounds Optional, as returned by getParentBounds
+ * @param {Object} dimensions Optional, as returned by determineDimensionsInCanvas
  * @return {Object} position {x, y}
  */
 
-DisplayObject.prototype.determinePositionInCanvas = function() {
+DisplayObject.prototype.determinePositionInCanvas = function(parentBounds, dimensions) {
+	parentBounds = parentBounds || this.getParentBounds();
+	dimensions = dimensions || this.determineDimensionsInCanvas(parentBounds);
+
 	var position = {
-		x: typeof this.x === 'number' ? this.x : 0,
-		y: typeof this.y === 'number' ? this.y : 0
+		x: units.resolve(this.x, parentBounds.width),
+		y: units.resolve(this.y, parentBounds.height)
 	};
 
 	if (this.stretch.x || this.stretch.y) {
-		var parentBounds = this.getParentBounds();
-		var offset = this.getOffsetInCanvas();
+		var offset = this.getOffsetInCanvas(parentBounds);
 		if (this.stretch.x) {
 			position.x = parentBounds.x + offset.left;
 		}
@@ -105,27 +268,28 @@ DisplayObject.prototype.determinePositionInCanvas = function() {
 		}
 	}
 
-	position = this.adjustPositionForAnchor(position.x, position.y);
-	position = this.adjustPositionForPivot(position.x, position.y);
+	position = this.adjustPositionForAnchor(position.x, position.y, parentBounds);
+	position = this.adjustPositionForPivot(position.x, position.y, dimensions, parentBounds);
 
 	return position;
 };
 
 /**
- * Determine the DisplayObject's actual dimensions in the canvas based on stretching
+ * Determine the DisplayObject's actual dimensions in the canvas based on stretching, size constraints and aspect ratio
  *
+ * @param {Object} parentBounds Optional, as returned by getParentBounds
  * @return {Object} dimensions {width, height}
  */
 
-DisplayObject.prototype.determineDimensionsInCanvas = function() {
+DisplayObject.prototype.determineDimensionsInCanvas = function(parentBounds) {
+	parentBounds = parentBounds || this.getParentBounds();
 	var dimensions = {
-		width: typeof this.width === 'number' ? this.width : 0,
-		height: typeof this.height === 'number' ? this.height : 0
+		width: units.resolve(this.width, parentBounds.width),
+		height: units.resolve(this.height, parentBounds.height)
 	};
 
 	if (this.stretch.x || this.stretch.y) {
-		var parentBounds = this.getParentBounds();
-		var offset = this.getOffsetInCanvas();
+		var offset = this.getOffsetInCanvas(parentBounds);
 
 		if (this.stretch.x) {
 			dimensions.width = parentBounds.width - offset.left - offset.right;
@@ -135,6 +299,32 @@ DisplayObject.prototype.determineDimensionsInCanvas = function() {
 		}
 	}
 
+	var minSize = this.minSize || {};
+	var maxSize = this.maxSize || {};
+	var constrain = function(key, parentSize) {
+		if (minSize[key] !== null && typeof minSize[key] !== 'undefined') {
+			dimensions[key] = Math.max(dimensions[key], units.resolve(minSize[key], parentSize));
+		}
+		if (maxSize[key] !== null && typeof maxSize[key] !== 'undefined') {
+			dimensions[key] = Math.min(dimensions[key], units.resolve(maxSize[key], parentSize));
+		}
+	};
+
+	if (this.aspectRatio > 0) {
+		// Constrain the leading dimension first, then derive the other one from it
+		if (this.stretch.y && !this.stretch.x) {
+			constrain('height', parentBounds.height);
+			dimensions.width = dimensions.height * this.aspectRatio;
+		} else {
+			constrain('width', parentBounds.width);
+			dimensions.height = dimensions.width / this.aspectRatio;
+		}
+	}
+
+	// Constraints win over the aspect ratio
+	constrain('width', parentBounds.width);
+	constrain('height', parentBounds.height);
+
 	return dimensions;
 };
 
@@ -144,11 +334,12 @@ DisplayObject.prototype.determineDimensionsInCanvas = function() {
  *
  * @param {int} x
  * @param {int} y
+ * @param {Object} parentBounds Optional, as returned by getParentBounds
  * @return {Object} position {x, y}
  */
 
-DisplayObject.prototype.adjustPositionForAnchor = function(x , y) {
-	var parentBounds = this.getParentBounds();
+DisplayObject.prototype.adjustPositionForAnchor = function(x , y, parentBounds) {
+	parentBounds = parentBounds || this.getParentBounds();
 
 	// Adjust position for X anchor
 	if (!this.stretch.x) {
@@ -180,35 +371,21 @@ DisplayObject.prototype.adjustPositionForAnchor = function(x , y) {
 
 /**
  * Gets calculated offset in canvas space
+ * Percentages of left and right are relative to the parent's width, those of top and bottom to its height
  *
- * @return {Object} offset {x, y}
+ * @param {Object} parentBounds Optional, as returned by getParentBounds
+ * @return {Object} offset {left, top, right, bottom}
  */
 
-DisplayObject.prototype.getOffsetInCanvas = function() {
-	var offset = {
-		left: this.offset.left,
-		top: this.offset.top,
-		right: this.offset.right,
-		bottom: this.offset.bottom,
-	};
-
-	// Transform percentage offsets to numbers
-	var parentBounds;
-
-	var keys = Object.keys(offset);
-	var length = keys.length;
-	for (var i = 0;i < length;i++) {
-		var key = keys[i];
-		var value = offset[key];
-		if (typeof value !== 'number') {
-			parentBounds = parentBounds || this.getParentBounds();
+DisplayObject.prototype.getOffsetInCanvas = function(parentBounds) {
+	parentBounds = parentBounds || this.getParentBounds();
 
-			var percValue = parseFloat(value.match(/^([0-9\.]+)%$/)[1]);
-			offset[key] = percValue / 100 * parentBounds.width;
-		}
-	}
-
-	return offset;
+	return {
+		left: units.resolve(this.offset.left, parentBounds.width),
+		top: units.resolve(this.offset.top, parentBounds.height),
+		right: units.resolve(this.offset.right, parentBounds.width),
+		bottom: units.resolve(this.offset.bottom, parentBounds.height),
+	};
 };
 
 /**
@@ -216,13 +393,25 @@ DisplayObject.prototype.getOffsetInCanvas = function() {
  *
  * @param {int} x
  * @param {int} y
+ * @param {Object} dimensions Optional, as returned by determineDimensionsInCanvas
+ * @param {Object} parentBounds Optional, as returned by getParentBounds
  * @return {Object} position {x, y}
  */
 
-DisplayObject.prototype.adjustPositionForPivot = function(x , y) {
-	// Adjust position for pivot
-	x = x - this.width * this.pivot.x;
-	y = y - this.height * this.pivot.y;
+DisplayObject.prototype.adjustPositionForPivot = function(x , y, dimensions, parentBounds) {
+	dimensions = dimensions || this.determineDimensionsInCanvas(parentBounds);
+
+	// Adjust position for pivot, stretched axes use the width and height that are set rather than the stretched size
+	if (this.stretch.x || this.stretch.y) {
+		parentBounds = parentBounds || this.getParentBounds();
+		dimensions = {
+			width: this.stretch.x ? units.resolve(this.width, parentBounds.width) : dimensions.width,
+			height: this.stretch.y ? units.resolve(this.height, parentBounds.height) : dimensions.height
+		};
+	}
+
+	x = x - dimensions.width * this.pivot.x;
+	y = y - dimensions.height * this.pivot.y;
 
 	return {
 		x: x,
@@ -235,11 +424,51 @@ DisplayObject.prototype.adjustPositionForPivot = function(x , y) {
  */
 
 DisplayObject.prototype.shouldReceiveEvents = function() {
-	return this.visible;
+	return this.isVisible() && this.interactive;
+};
+
+/**
+ * Does this DisplayObject contain the given point in canvas space, used for hit testing
+ * The point is transformed back into local space with the inverse world transform,
+ * so the tested area matches exactly what is drawn
+ *
+ * @param {int} x
+ * @param {int} y
+ * @return {bool}
+ */
+
+DisplayObject.prototype.hitTest = function(x, y) {
+	var bounds = this.getLayoutBounds();
+	var inverse = matrix.invert(this.getWorldTransform(bounds));
+	if (!inverse) return false;
+
+	var point = matrix.apply(inverse, x, y);
+
+	return this.containsLocalPoint(point.x - bounds.x, point.y - bounds.y, bounds.width, bounds.height);
+};
+
+/**
+ * Does this DisplayObject contain the given point in local space, where 0,0 is its top left corner
+ * Uses hitArea when set, the DisplayObject's own bounds otherwise
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @return {bool}
+ */
+
+DisplayObject.prototype.containsLocalPoint = function(x, y, width, height) {
+	if (this.hitArea) {
+		return this.hitArea.contains(x, y, width, height);
+	}
+
+	return x >= 0 && x <= width && y >= 0 && y <= height;
 };
 
 /**
  * Attach a click event handler to this DisplayObject
+ * The callback is passed the DisplayObject and an InteractionEvent, which has the x,y coordinates of the pointer in UI space
  *
  * @param {Function} callback
  */
@@ -248,6 +477,305 @@ DisplayObject.prototype.onClick = function(callback) {
 	this.ui.addEventListener('click', callback, this);
 };
 
+/**
+ * Detach a click event handler from this DisplayObject
+ *
+ * @param {Function} callback When omitted, all click event handlers are detached
+ */
+
+DisplayObject.prototype.offClick = function(callback) {
+	this.ui.removeEventListener('click', callback, this);
+};
+
+/**
+ * Attach a pointer down event handler to this DisplayObject
+ * The callback is passed the DisplayObject and an InteractionEvent, which has the x,y coordinates of the pointer in UI space
+ *
+ * @param {Function} callback
+ */
+
+DisplayObject.prototype.onPointerDown = function(callback) {
+	this.ui.addEventListener('pointerdown', callback, this);
+};
+
+/**
+ * Detach a pointer down event handler from this DisplayObject
+ *
+ * @param {Function} callback When omitted, all pointer down event handlers are detached
+ */
+
+DisplayObject.prototype.offPointerDown = function(callback) {
+	this.ui.removeEventListener('pointerdown', callback, this);
+};
+
+/**
+ * Attach a pointer up event handler to this DisplayObject
+ * The callback is passed the DisplayObject and an InteractionEvent, which has the x,y coordinates of the pointer in UI space
+ *
+ * @param {Function} callback
+ */
+
+DisplayObject.prototype.onPointerUp = function(callback) {
+	this.ui.addEventListener('pointerup', callback, this);
+};
+
+/**
+ * Detach a pointer up event handler from this DisplayObject
+ *
+ * @param {Function} callback When omitted, all pointer up event handlers are detached
+ */
+
+DisplayObject.prototype.offPointerUp = function(callback) {
+	this.ui.removeEventListener('pointerup', callback, this);
+};
+
+/**
+ * Attach a pointer move event handler to this DisplayObject, called while the pointer moves over it
+ * The callback is passed the DisplayObject and an InteractionEvent, which has the x,y coordinates of the pointer in UI space
+ *
+ * @param {Function} callback
+ */
+
+DisplayObject.prototype.onPointerMove = function(callback) {
+	this.ui.addEventListener('pointermove', callback, this);
+};
+
+/**
+ * Detach a pointer move event handler from this DisplayObject
+ *
+ * @param {Function} callback When omitted, all pointer move event handlers are detached
+ */
+
+DisplayObject.prototype.offPointerMove = function(callback) {
+	this.ui.removeEventListener('pointermove', callback, this);
+};
+
+/**
+ * Attach a pointer enter event handler to this DisplayObject, called when the pointer starts hovering it
+ * The callback is passed the DisplayObject and an InteractionEvent, which has the x,y coordinates of the pointer in UI space
+ *
+ * @param {Function} callback
+ */
+
+DisplayObject.prototype.onPointerEnter = function(callback) {
+	this.ui.addEventListener('pointerenter', callback, this);
+};
+
+/**
+ * Detach a pointer enter event handler from this DisplayObject
+ *
+ * @param {Function} callback When omitted, all pointer enter event handlers are detached
+ */
+
+DisplayObject.prototype.offPointerEnter = function(callback) {
+	this.ui.removeEventListener('pointerenter', callback, this);
+};
+
+/**
+ * Attach a pointer leave event handler to this DisplayObject, called when the pointer stops hovering it
+ * The callback is passed the DisplayObject and an InteractionEvent, which has the x,y coordinates of the pointer in UI space
+ *
+ * @param {Function} callback
+ */
+
+DisplayObject.prototype.onPointerLeave = function(callback) {
+	this.ui.addEventListener('pointerleave', callback, this);
+};
+
+/**
+ * Detach a pointer leave event handler from this DisplayObject
+ *
+ * @param {Function} callback When omitted, all pointer leave event handlers are detached
+ */
+
+DisplayObject.prototype.offPointerLeave = function(callback) {
+	this.ui.removeEventListener('pointerleave', callback, this);
+};
+
+/**
+ * Add a child to this DisplayObject, children are positioned within and drawn above their parent
+ * Adding an existing child moves it to the front of its siblings
+ *
+ * @param {ThreeUI.DisplayObject} child
+ * @return {ThreeUI.DisplayObject} child
+ */
+
+DisplayObject.prototype.addChild = function(child) {
+	if (child.parent === this) {
+		this.children.splice(this.children.indexOf(child), 1);
+		this.children.push(child);
+		this.ui.markDirty(child);
+	} else {
+		child.parent = this;
+	}
+
+	return child;
+};
+
+/**
+ * Remove a child from this DisplayObject, the child and its own children are moved back to the root of the UI
+ * Use DisplayObject.destroy to remove it from the UI entirely
+ *
+ * @param {ThreeUI.DisplayObject} child
+ * @return {ThreeUI.DisplayObject} child
+ */
+
+DisplayObject.prototype.removeChild = function(child) {
+	if (child.parent === this) {
+		child.parent = undefined;
+	}
+
+	return child;
+};
+
+/**
+ * Get the index of a child within this DisplayObject's children, which determines draw order
+ *
+ * @param {ThreeUI.DisplayObject} child
+ * @return {int} index, -1 when it is not a child of this DisplayObject
+ */
+
+DisplayObject.prototype.getChildIndex = function(child) {
+	return this.children.indexOf(child);
+};
+
+/**
+ * Override properties while the UI matches the given conditions, i.e. to lay this DisplayObject out differently in portrait
+ * Breakpoints are re-evaluated whenever the UI is resized, when none of them matches anymore the properties go back to their own value
+ * When multiple breakpoints match, later ones take precedence, objects like anchor and stretch can be overridden partially
+ * Setting an overridden property changes its own value, the breakpoint is applied over it again on the next resize
+ *
+ * @param {Object} conditions See ThreeUI.matchesBreakpoint, i.e. { orientation: 'portrait' } or { maxAspect: 4 / 3 }
+ * @param {Object} properties The values to use while the conditions match, i.e. { anchor: { y: ThreeUI.anchors.bottom }, stretch: { x: true } }
+ * @return {ThreeUI.DisplayObject} this
+ */
+
+DisplayObject.prototype.addBreakpoint = function(conditions, properties) {
+	this.breakpoints.push({
+		conditions: conditions,
+		properties: properties
+	});
+
+	this.applyBreakpoints();
+
+	return this;
+};
+
+/**
+ * Remove all breakpoints, overridden properties go back to their own value
+ */
+
+DisplayObject.prototype.removeBreakpoints = function() {
+	this.breakpoints = [];
+	this.applyBreakpoints();
+};
+
+/**
+ * Apply the properties of the breakpoints that match the current UI dimensions, and restore those that no longer apply
+ * Overridden properties that were set since the last time breakpoints were applied, i.e. anchor.x, become their own value
+ * Called by ThreeUI.resize
+ */
+
+DisplayObject.prototype.applyBreakpoints = function() {
+	var defaults = this.breakpointDefaults;
+	var values = this.breakpointValues;
+	var overrides = {};
+
+	Object.keys(defaults).forEach(function(key) {
+		var value = this[key];
+
+		if (isPlainObject(value) && isPlainObject(values[key]) && isPlainObject(defaults[key])) {
+			Object.keys(value).forEach(function(property) {
+				if (value[property] !== values[key][property]) {
+					defaults[key][property] = value[property];
+				}
+			});
+		} else if (value !== values[key]) {
+			defaults[key] = copyValue(value);
+		}
+	}, this);
+
+	this.breakpoints.filter(function(breakpoint) {
+		return this.ui.matchesBreakpoint(breakpoint.conditions);
+	}, this).forEach(function(breakpoint) {
+		Object.keys(breakpoint.properties).forEach(function(key) {
+			overrides[key] = overrides[key] || [];
+			overrides[key].push(breakpoint.properties[key]);
+		});
+	});
+
+	Object.keys(defaults).forEach(function(key) {
+		if (!overrides.hasOwnProperty(key)) {
+			this[key] = defaults[key];
+			delete defaults[key];
+			delete values[key];
+		}
+	}, this);
+
+	Object.keys(overrides).forEach(function(key) {
+		if (!defaults.hasOwnProperty(key)) {
+			defaults[key] = copyValue(this[key]);
+		}
+
+		this[key] = overrides[key].reduce(function(value, override) {
+			return isPlainObject(value) && isPlainObject(override) ? copyValue(value, override) : override;
+		}, copyValue(defaults[key]));
+		values[key] = copyValue(this[key]);
+	}, this);
+};
+
+/**
+ * Is this DisplayObject visible, taking the visibility of its parents into account
+ *
+ * @return {bool}
+ */
+
+DisplayObject.prototype.isVisible = function() {
+	return this.visible && (!this.parent || this.parent.isVisible());
+};
+
+/**
+ * Get the alpha this DisplayObject is drawn with, its own alpha multiplied by that of its parents
+ *
+ * @return {float}
+ */
+
+DisplayObject.prototype.getWorldAlpha = function() {
+	return this.alpha * (this.parent ? this.parent.getWorldAlpha() : 1);
+};
+
+/**
+ * Remove this DisplayObject from the UI, along with all of its event listeners, tweens and children
+ *
+ * @param {bool} keepChildren Move the children to the root of the UI instead of destroying them
+ */
+
+DisplayObject.prototype.destroy = function(keepChildren) {
+	this.children.slice().forEach(function(child) {
+		if (keepChildren) {
+			child.parent = undefined;
+		} else {
+			child.destroy();
+		}
+	});
+
+	this.parent = undefined;
+
+	this.ui.removeDisplayObject(this);
+	this.destroyed = true;
+};
+
+/**
+ * Get how far this DisplayObject draws outside of its bounds, i.e. for shadows
+ * Used by ThreeUI.draw to determine which part of the canvas to redraw
+ *
+ * @return {float} margin in UI pixels
+ */
+
+DisplayObject.prototype.getDrawMargin = function() {
+	return 0;
+};
+
 /**
  * Render this DisplayObject onto the provided context
  *
@@ -255,25 +783,30 @@ DisplayObject.prototype.onClick = function(callback) {
  */
 
 DisplayObject.prototype.render = function(context) {
-	if (!this.visible) return;
+	if (!this.isVisible()) return;
 
 	context.save();
 
-	var bounds = this.getBounds();
-
-	if (this.rotation) { // Rotation is in degrees
-		var radians = (Math.PI / 180) * this.rotation;
+	var bounds = this.getLayoutBounds();
+	var transform = this.getWorldTransform(bounds);
 
-		var pivotAdjustment = this.adjustPositionForPivot(0, 0);
-		var moveX = bounds.x - pivotAdjustment.x;
- 		var moveY = bounds.y - pivotAdjustment.y;
+	if (this.ui.pixelSnapping) {
+		bounds = {
+			x: Math.round(bounds.x),
+			y: Math.round(bounds.y),
+			width: Math.round(bounds.width),
+			height: Math.round(bounds.height)
+		};
+		transform = transform.slice();
+		transform[4] = Math.round(transform[4]);
+		transform[5] = Math.round(transform[5]);
+	}
 
-		context.translate(moveX, moveY);
-		context.rotate(radians);
-		context.translate(-moveX, -moveY);
+	if (!matrix.isIdentity(transform)) {
+		context.transform(transform[0], transform[1], transform[2], transform[3], transform[4], transform[5]);
 	}
 
-	context.globalAlpha = this.alpha;
+	context.globalAlpha = this.getWorldAlpha();
 
 	if (typeof context['mozImageSmoothingEnabled'] !== 'undefined') context['mozImageSmoothingEnabled'] = this.smoothing;
 	if (typeof context['webkitImageSmoothingEnabled'] !== 'undefined') context['webkitImageSmoothingEnabled'] = this.smoothing;
@@ -300,18 +833,71 @@ DisplayObject.draw = function(context, x, y, width, height) {
 };
 
 /**
- * Getter for visibility
+ * @param {*} value
+ * @return {bool}
+ */
+
+var isPlainObject = function(value) {
+	return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+};
+
+/**
+ * Shallow copy plain objects like anchor and stretch, so overriding them doesn't change the stored defaults
+ *
+ * @param {*} value
+ * @param {Object} extend Properties to set on the copy
+ * @return {*}
+ */
+
+var copyValue = function(value, extend) {
+	if (!isPlainObject(value)) {
+		return value;
+	}
+
+	var copy = {};
+	[value, extend || {}].forEach(function(source) {
+		Object.keys(source).forEach(function(key) {
+			copy[key] = source[key];
+		});
+	});
+
+	return copy;
+};
+
+/**
+ * Keeps the children of the old and new parent up to date when the parent changes
  */
-Object.defineProperty(DisplayObject.prototype, '_proxied_visible', { // Set on proxied, as we're already observing
+Object.defineProperty(DisplayObject.prototype, '_proxied_parent', { // Set on proxied, as we're already observing
 	get: function() {
-		if (this.parent && this.parent !== this && !this.parent.visible) {
-			return false;
-		} else {
-			return this._visible;
-		}
+		return this._parent;
 	},
-	set: function(toggle) {
-		return this._visible = toggle;
+	set: function(parent) {
+		if (parent === this._parent) return;
+
+		if (typeof parent !== 'undefined') {
+			if (!(parent instanceof DisplayObject)) {
+				throw new Error('DisplayObject.parent should always be an instance of DisplayObject');
+			}
+
+			for (var ancestor = parent;ancestor;ancestor = ancestor.parent) {
+				if (ancestor === this) {
+					throw new Error('DisplayObject can not be parented to itself or one of its children');
+				}
+			}
+		}
+
+		if (this._parent) {
+			this._parent.children.splice(this._parent.children.indexOf(this), 1);
+		}
+
+		this._parent = parent;
+
+		// Only the layout container that positioned this DisplayObject may do so
+		this.layoutRect = null;
+
+		if (parent) {
+			parent.children.push(this);
+		}
 	},
 });
 
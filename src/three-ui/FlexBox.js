@@ -0,0 +1,165 @@
+var Layout = require('./Layout.js');
+
+/**
+ * FlexBox
+ * @extends ThreeUI.Layout
+ *
+ * Places its children in a row or column, similar to a CSS flexbox
+ * Children can grow into or shrink to the available space based on their flex.grow and flex.shrink factors
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createFlexBox, ThreeUI.createHBox or ThreeUI.createVBox instead
+ *
+ * @param {ThreeUI} ui
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the FlexBox is sized to fit its children
+ * @param {int} height
+ */
+
+var FlexBox = function(ui, x, y, width, height) {
+	this.direction = 'row'; // row or column
+	this.justifyContent = 'start'; // start, center, end, space-between, space-around or space-evenly
+	this.alignItems = 'start'; // start, center, end or stretch
+	this.wrap = false; // Continue on a new row or column when the children don't fit
+
+	// Run Layout constructor on this object
+	Layout.bind(this)(ui, x, y, width, height);
+};
+
+FlexBox.prototype = Object.create(Layout.prototype);
+
+/**
+ * Compute the position and size of every item within the content box
+ *
+ * @param {Object[]} items
+ * @param {int|null} innerWidth
+ * @param {int|null} innerHeight
+ * @return {Object} layout {rects, width, height}
+ */
+
+FlexBox.prototype.computeLayout = function(items, innerWidth, innerHeight) {
+	var isRow = this.direction !== 'column';
+	var mainSize = isRow ? 'width' : 'height';
+	var crossSize = isRow ? 'height' : 'width';
+	var innerMain = isRow ? innerWidth : innerHeight;
+	var innerCross = isRow ? innerHeight : innerWidth;
+	var spacing = this.spacing || 0;
+	var measuring = innerMain === null;
+
+	// Divide the items over lines
+	var lines = [];
+	var line = null;
+	items.forEach(function(item, idx) {
+		var entry = {
+			index: idx,
+			flex: item.displayObject.flex || {},
+			main: item[mainSize],
+			cross: item[crossSize]
+		};
+
+		var fits = !line || line.entries.length === 0 || line.main + spacing + entry.main <= innerMain;
+		if (!line || (this.wrap && !measuring && !fits)) {
+			line = { entries: [], main: 0, cross: 0 };
+			lines.push(line);
+		}
+
+		line.main += (line.entries.length > 0 ? spacing : 0) + entry.main;
+		line.cross = Math.max(line.cross, entry.cross);
+		line.entries.push(entry);
+	}, this);
+
+	// Without wrapping, the single line spans the whole content box
+	if (lines.length === 1 && !this.wrap && !measuring) {
+		lines[0].cross = innerCross;
+	}
+
+	var contentMain = 0;
+	var contentCross = 0;
+	lines.forEach(function(line, idx) {
+		contentMain = Math.max(contentMain, line.main);
+		contentCross += (idx > 0 ? spacing : 0) + line.cross;
+	});
+
+	var rects = [];
+	var crossPosition = 0;
+	lines.forEach(function(line) {
+		var free = measuring ? 0 : innerMain - line.main;
+		var entries = line.entries;
+
+		if (free > 0) {
+			var totalGrow = entries.reduce(function(total, entry) {
+				return total + (entry.flex.grow || 0);
+			}, 0);
+
+			if (totalGrow > 0) {
+				entries.forEach(function(entry) {
+					entry.main += free * (entry.flex.grow || 0) / totalGrow;
+				});
+				free = 0;
+			}
+		} else if (free < 0) {
+			// Like CSS, items shrink relative to their shrink factor times their size
+			var totalShrink = entries.reduce(function(total, entry) {
+				return total + (entry.flex.shrink || 0) * entry.main;
+			}, 0);
+
+			if (totalShrink > 0) {
+				var overflow = -free;
+				free = 0;
+				entries.forEach(function(entry) {
+					var shrunk = Math.min(entry.main, overflow * (entry.flex.shrink || 0) * entry.main / totalShrink);
+					entry.main -= shrunk;
+					free += shrunk;
+				});
+				free -= overflow;
+			}
+		}
+
+		var position = 0;
+		var gap = spacing;
+		var count = entries.length;
+		var space = Math.max(0, free);
+
+		if (this.justifyContent === 'center') {
+			position = free / 2;
+		} else if (this.justifyContent === 'end') {
+			position = free;
+		} else if (this.justifyContent === 'space-between' && count > 1) {
+			gap += space / (count - 1);
+		} else if (this.justifyContent === 'space-around') {
+			position = space / count / 2;
+			gap += space / count;
+		} else if (this.justifyContent === 'space-evenly') {
+			position = space / (count + 1);
+			gap += space / (count + 1);
+		}
+
+		entries.forEach(function(entry) {
+			var cross = this.alignItems === 'stretch' ? line.cross : entry.cross;
+			var crossOffset = 0;
+			if (this.alignItems === 'center') {
+				crossOffset = (line.cross - cross) / 2;
+			} else if (this.alignItems === 'end') {
+				crossOffset = line.cross - cross;
+			}
+
+			rects[entry.index] = isRow
+				? { x: position, y: crossPosition + crossOffset, width: entry.main, height: cross }
+				: { x: crossPosition + crossOffset, y: position, width: cross, height: entry.main };
+
+			position += entry.main + gap;
+		}, this);
+
+		crossPosition += line.cross + spacing;
+	}, this);
+
+	return {
+		rects: rects,
+		width: isRow ? contentMain : contentCross,
+		height: isRow ? contentCross : contentMain
+	};
+};
+
+// Export FlexBox as module
+module.exports = FlexBox;
@@ -0,0 +1,422 @@
+var DisplayObject = require('./DisplayObject.js');
+var gradients = require('./gradients.js');
+
+/**
+ * Graphics
+ * @extends ThreeUI.DisplayObject
+ *
+ * Draws shapes from a list of commands, which is kept and replayed every time the UI is drawn
+ * All methods that add commands return the Graphics, so calls can be chained
+ *
+ * Shapes are drawn relative to x and y, the bounds are computed from the shapes, so they can be used for events and as parent bounds
+ * Angles are in degrees, like rotation
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createGraphics instead to create graphics
+ *
+ * @param {ThreeUI} ui
+ * @param {int} x
+ * @param {int} y
+ */
+
+var Graphics = function(ui, x, y) {
+	this.commands = [];
+	this.geometryBounds = null; // Cached, reset whenever the commands change
+
+	var x = typeof x !== 'undefined' ? x : 0;
+	var y = typeof y !== 'undefined' ? y : 0;
+
+	// Run DisplayObject constructor on this object
+	DisplayObject.bind(this)(ui, x, y);
+};
+
+Graphics.prototype = Object.create(DisplayObject.prototype);
+
+/**
+ * Used internally to add a command and schedule a redraw
+ *
+ * @param {string} type
+ * @param {Array} args
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.addCommand = function(type, args) {
+	this.commands.push({ type: type, args: args });
+	this.geometryBounds = null;
+	this.ui.markDirty(this);
+
+	return this;
+};
+
+/**
+ * Remove all commands
+ *
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.clear = function() {
+	this.commands = [];
+	this.geometryBounds = null;
+	this.ui.markDirty(this);
+
+	return this;
+};
+
+/**
+ * Start a new path, fill and stroke only apply to the shapes added since the last beginPath
+ *
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.beginPath = function() {
+	return this.addCommand('beginPath', []);
+};
+
+/**
+ * Close the current shape with a straight line back to its start
+ *
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.closePath = function() {
+	return this.addCommand('closePath', []);
+};
+
+/**
+ * @param {float} x
+ * @param {float} y
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.moveTo = function(x, y) {
+	return this.addCommand('moveTo', [x, y]);
+};
+
+/**
+ * @param {float} x
+ * @param {float} y
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.lineTo = function(x, y) {
+	return this.addCommand('lineTo', [x, y]);
+};
+
+/**
+ * @param {float} cpx Control point
+ * @param {float} cpy
+ * @param {float} x
+ * @param {float} y
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.quadraticCurveTo = function(cpx, cpy, x, y) {
+	return this.addCommand('quadraticCurveTo', [cpx, cpy, x, y]);
+};
+
+/**
+ * @param {float} cp1x First control point
+ * @param {float} cp1y
+ * @param {float} cp2x Second control point
+ * @param {float} cp2y
+ * @param {float} x
+ * @param {float} y
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.bezierCurveTo = function(cp1x, cp1y, cp2x, cp2y, x, y) {
+	return this.addCommand('bezierCurveTo', [cp1x, cp1y, cp2x, cp2y, x, y]);
+};
+
+/**
+ * Arc around a center, connected to the current point with a straight line
+ * 0 degrees points right, positive angles go clockwise
+ *
+ * @param {float} x center
+ * @param {float} y center
+ * @param {float} radius
+ * @param {float} startAngle In degrees
+ * @param {float} endAngle In degrees
+ * @param {bool} anticlockwise -- Default: false
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.arc = function(x, y, radius, startAngle, endAngle, anticlockwise) {
+	return this.addCommand('arc', [x, y, radius, startAngle, endAngle, !!anticlockwise]);
+};
+
+/**
+ * @param {float} x center
+ * @param {float} y center
+ * @param {float} radius
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.circle = function(x, y, radius) {
+	return this.ellipse(x, y, radius, radius);
+};
+
+/**
+ * @param {float} x center
+ * @param {float} y center
+ * @param {float} radiusX
+ * @param {float} radiusY
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.ellipse = function(x, y, radiusX, radiusY) {
+	return this.addCommand('ellipse', [x, y, radiusX, radiusY]);
+};
+
+/**
+ * @param {float} x
+ * @param {float} y
+ * @param {float} width
+ * @param {float} height
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.rect = function(x, y, width, height) {
+	return this.addCommand('rect', [x, y, width, height]);
+};
+
+/**
+ * Closed shape through all points
+ *
+ * @param {Object[]} points Array of {x, y} points
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.polygon = function(points) {
+	return this.addCommand('polygon', [points.map(function(point) {
+		return { x: point.x, y: point.y };
+	})]);
+};
+
+/**
+ * Fill the current path
+ *
+ * @param {string|Object} color Color or gradient from ThreeUI.gradients, relative to the bounds of all shapes
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.fill = function(color) {
+	return this.addCommand('fill', [color]);
+};
+
+/**
+ * Stroke the current path
+ *
+ * @param {string|Object} color Color or gradient from ThreeUI.gradients, relative to the bounds of all shapes
+ * @param {float} lineWidth -- Default: 1
+ * @return {Graphics} this
+ */
+
+Graphics.prototype.stroke = function(color, lineWidth) {
+	return this.addCommand('stroke', [color, typeof lineWidth !== 'undefined' ? lineWidth : 1]);
+};
+
+/**
+ * Get the box around all shapes, relative to x and y, including the width of strokes
+ *
+ * @return {Object} bounds {x, y, width, height}
+ */
+
+Graphics.prototype.getGeometryBounds = function() {
+	if (this.geometryBounds) {
+		return this.geometryBounds;
+	}
+
+	var minX = Infinity;
+	var minY = Infinity;
+	var maxX = -Infinity;
+	var maxY = -Infinity;
+	var strokeWidth = 0;
+
+	var addPoint = function(x, y) {
+		minX = Math.min(minX, x);
+		minY = Math.min(minY, y);
+		maxX = Math.max(maxX, x);
+		maxY = Math.max(maxY, y);
+	};
+
+	this.commands.forEach(function(command) {
+		var args = command.args;
+
+		switch (command.type) {
+			case 'moveTo':
+			case 'lineTo':
+				addPoint(args[0], args[1]);
+				break;
+			case 'quadraticCurveTo':
+			case 'bezierCurveTo':
+				// Curves stay within their control points
+				for (var idx = 0;idx < args.length;idx += 2) {
+					addPoint(args[idx], args[idx + 1]);
+				}
+				break;
+			case 'arc':
+				getArcExtremes(args[3], args[4], args[5]).forEach(function(angle) {
+					var radians = angle * Math.PI / 180;
+					addPoint(args[0] + Math.cos(radians) * args[2], args[1] + Math.sin(radians) * args[2]);
+				});
+				break;
+			case 'ellipse':
+				addPoint(args[0] - args[2], args[1] - args[3]);
+				addPoint(args[0] + args[2], args[1] + args[3]);
+				break;
+			case 'rect':
+				addPoint(args[0], args[1]);
+				addPoint(args[0] + args[2], args[1] + args[3]);
+				break;
+			case 'polygon':
+				args[0].forEach(function(point) {
+					addPoint(point.x, point.y);
+				});
+				break;
+			case 'stroke':
+				strokeWidth = Math.max(strokeWidth, args[1]);
+				break;
+		}
+	});
+
+	if (minX === Infinity) {
+		this.geometryBounds = { x: 0, y: 0, width: 0, height: 0 };
+	} else {
+		var padding = strokeWidth / 2;
+		this.geometryBounds = {
+			x: minX - padding,
+			y: minY - padding,
+			width: maxX - minX + strokeWidth,
+			height: maxY - minY + strokeWidth
+		};
+	}
+
+	return this.geometryBounds;
+};
+
+/**
+ * Graphics are sized by the bounds of their shapes
+ *
+ * @return {Object} size {width, height}
+ */
+
+Graphics.prototype.getNaturalSize = function() {
+	var geometryBounds = this.getGeometryBounds();
+
+	return {
+		width: geometryBounds.width,
+		height: geometryBounds.height
+	};
+};
+
+/**
+ * Get the bounds of all shapes, positioned around x and y
+ *
+ * @return {Object} position {x, y, width, height}
+ */
+
+Graphics.prototype.getLayoutBounds = function() {
+	if (this.layoutRect) {
+		return DisplayObject.prototype.getLayoutBounds.call(this);
+	}
+
+	// Width and height stay 0, so the pivot doesn't move the origin of the shapes
+	var origin = this.determinePositionInCanvas();
+	var geometryBounds = this.getGeometryBounds();
+
+	return {
+		x: origin.x + geometryBounds.x,
+		y: origin.y + geometryBounds.y,
+		width: geometryBounds.width,
+		height: geometryBounds.height
+	};
+};
+
+/**
+ * Draw this Graphics onto the provided context by replaying its commands
+ * Used internally by DisplayObject.render
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ */
+
+Graphics.prototype.draw = function(context, x, y) {
+	var geometryBounds = this.getGeometryBounds();
+	var toStyle = function(color) {
+		return gradients.toFillStyle(context, color, geometryBounds.x, geometryBounds.y, geometryBounds.width, geometryBounds.height);
+	};
+
+	// Move from the top left of the bounds to the origin of the shapes
+	context.translate(x - geometryBounds.x, y - geometryBounds.y);
+	context.beginPath();
+
+	this.commands.forEach(function(command) {
+		var args = command.args;
+
+		switch (command.type) {
+			case 'arc':
+				context.arc(args[0], args[1], args[2], args[3] * Math.PI / 180, args[4] * Math.PI / 180, args[5]);
+				break;
+			case 'ellipse':
+				context.moveTo(args[0] + args[2], args[1]);
+				context.ellipse(args[0], args[1], args[2], args[3], 0, 0, Math.PI * 2);
+				break;
+			case 'polygon':
+				args[0].forEach(function(point, idx) {
+					if (idx === 0) {
+						context.moveTo(point.x, point.y);
+					} else {
+						context.lineTo(point.x, point.y);
+					}
+				});
+				context.closePath();
+				break;
+			case 'fill':
+				context.fillStyle = toStyle(args[0]);
+				context.fill();
+				break;
+			case 'stroke':
+				context.strokeStyle = toStyle(args[0]);
+				context.lineWidth = args[1];
+				context.stroke();
+				break;
+			default:
+				context[command.type].apply(context, args);
+		}
+	});
+};
+
+/**
+ * Get the angles of an arc that can lie on its bounds: its start, its end and every quarter turn in between
+ *
+ * @param {float} startAngle In degrees
+ * @param {float} endAngle In degrees
+ * @param {bool} anticlockwise
+ * @return {float[]} angles in degrees
+ */
+
+var getArcExtremes = function(startAngle, endAngle, anticlockwise) {
+	var from = anticlockwise ? endAngle : startAngle;
+	var to = anticlockwise ? startAngle : endAngle;
+
+	// Arcs of a full turn or more are full circles
+	if (Math.abs(endAngle - startAngle) >= 360) {
+		return [0, 90, 180, 270];
+	}
+
+	while (to < from) {
+		to += 360;
+	}
+
+	var angles = [from, to];
+	for (var angle = Math.ceil(from / 90) * 90;angle < to;angle += 90) {
+		angles.push(angle);
+	}
+
+	return angles;
+};
+
+// Export Graphics as module
+module.exports = Graphics;
@@ -0,0 +1,118 @@
+var Layout = require('./Layout.js');
+
+/**
+ * Grid
+ * @extends ThreeUI.Layout
+ *
+ * Places its children in cells of equal size, row by row
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createGrid instead to create grids
+ *
+ * @param {ThreeUI} ui
+ * @param {int} columns
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the Grid is sized to fit its children
+ * @param {int} height
+ */
+
+var Grid = function(ui, columns, x, y, width, height) {
+	this.columns = typeof columns !== 'undefined' ? columns : 1;
+	this.cellWidth = null; // null to divide the width over the columns, or to fit the widest child when fitting content
+	this.cellHeight = null; // null to fit the highest child
+	this.justifyItems = 'center'; // Horizontal alignment within the cells: start, center, end or stretch
+	this.alignItems = 'center'; // Vertical alignment within the cells: start, center, end or stretch
+
+	// Run Layout constructor on this object
+	Layout.bind(this)(ui, x, y, width, height);
+};
+
+Grid.prototype = Object.create(Layout.prototype);
+
+/**
+ * Get the horizontal and vertical spacing, spacing can be a number or { x, y }
+ *
+ * @return {Object} spacing {x, y}
+ */
+
+Grid.prototype.getSpacing = function() {
+	var spacing = this.spacing || 0;
+	if (typeof spacing === 'number') {
+		return { x: spacing, y: spacing };
+	}
+
+	return {
+		x: spacing.x || 0,
+		y: spacing.y || 0
+	};
+};
+
+/**
+ * Compute the position and size of every item within the content box
+ *
+ * @param {Object[]} items
+ * @param {int|null} innerWidth
+ * @param {int|null} innerHeight
+ * @return {Object} layout {rects, width, height}
+ */
+
+Grid.prototype.computeLayout = function(items, innerWidth, innerHeight) {
+	var columns = Math.max(1, Math.floor(this.columns));
+	var rows = Math.ceil(items.length / columns);
+	var spacing = this.getSpacing();
+
+	var largest = items.reduce(function(largest, item) {
+		return {
+			width: Math.max(largest.width, item.width),
+			height: Math.max(largest.height, item.height)
+		};
+	}, { width: 0, height: 0 });
+
+	var cellWidth = this.cellWidth;
+	if (cellWidth === null || typeof cellWidth === 'undefined') {
+		cellWidth = innerWidth !== null ? (innerWidth - spacing.x * (columns - 1)) / columns : largest.width;
+	}
+
+	var cellHeight = this.cellHeight;
+	if (cellHeight === null || typeof cellHeight === 'undefined') {
+		cellHeight = largest.height;
+	}
+
+	var align = function(alignment, cellSize, size) {
+		if (alignment === 'stretch') {
+			return { offset: 0, size: cellSize };
+		} else if (alignment === 'center') {
+			return { offset: (cellSize - size) / 2, size: size };
+		} else if (alignment === 'end') {
+			return { offset: cellSize - size, size: size };
+		}
+
+		return { offset: 0, size: size };
+	};
+
+	var rects = items.map(function(item, idx) {
+		var column = idx % columns;
+		var row = Math.floor(idx / columns);
+		var horizontal = align(this.justifyItems, cellWidth, item.width);
+		var vertical = align(this.alignItems, cellHeight, item.height);
+
+		return {
+			x: column * (cellWidth + spacing.x) + horizontal.offset,
+			y: row * (cellHeight + spacing.y) + vertical.offset,
+			width: horizontal.size,
+			height: vertical.size
+		};
+	}, this);
+
+	var usedColumns = Math.min(columns, items.length);
+
+	return {
+		rects: rects,
+		width: Math.max(0, usedColumns * cellWidth + spacing.x * (usedColumns - 1)),
+		height: Math.max(0, rows * cellHeight + spacing.y * (rows - 1))
+	};
+};
+
+// Export Grid as module
+module.exports = Grid;
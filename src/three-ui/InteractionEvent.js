@@ -0,0 +1,33 @@
+/**
+ * InteractionEvent
+ *
+ * Passed to event listeners of DisplayObjects as the second argument
+ * Events are dispatched to the topmost DisplayObject under the pointer first, and then bubble up through its parents
+ *
+ * @param {string} type
+ * @param {ThreeUI.DisplayObject} target The DisplayObject the event was dispatched to first
+ * @param {int} x x coordinate of the pointer in UI space
+ * @param {int} y y coordinate of the pointer in UI space
+ * @param {Event} originalEvent The window event that triggered this event, if any
+ */
+
+var InteractionEvent = function(type, target, x, y, originalEvent) {
+	this.type = type;
+	this.target = target;
+	this.currentTarget = target; // The DisplayObject whose listeners are currently being called
+	this.x = x;
+	this.y = y;
+	this.originalEvent = originalEvent;
+	this.propagationStopped = false;
+};
+
+/**
+ * Prevent this event from bubbling up to the parents of the current DisplayObject
+ */
+
+InteractionEvent.prototype.stopPropagation = function() {
+	this.propagationStopped = true;
+};
+
+// Export InteractionEvent as module
+module.exports = InteractionEvent;
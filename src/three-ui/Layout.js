@@ -0,0 +1,142 @@
+var DisplayObject = require('./DisplayObject.js');
+
+/**
+ * Layout
+ * @extends ThreeUI.DisplayObject
+ *
+ * Base for containers that position and size their visible children, see FlexBox and Grid
+ * Layouts are updated by ThreeUI.draw, so they follow any change in the size or visibility of their children
+ * Anchor, pivot, stretch and offset of the children are ignored while they're in a Layout
+ * Like Containers, Layouts aren't interactive by default, so they don't block events to the DisplayObjects below them
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ *
+ * @param {ThreeUI} ui
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the Layout is sized to fit its children
+ * @param {int} height
+ */
+
+var Layout = function(ui, x, y, width, height) {
+	this.padding = 0; // For all sides, or { top, right, bottom, left }
+	this.spacing = 0; // Space between children
+	this.fitContent = typeof width === 'undefined' && typeof height === 'undefined';
+
+	// Run DisplayObject constructor on this object
+	DisplayObject.bind(this)(ui, x, y, width, height);
+
+	this.interactive = false;
+};
+
+Layout.prototype = Object.create(DisplayObject.prototype);
+
+/**
+ * Get the padding for every side
+ *
+ * @return {Object} padding {top, right, bottom, left}
+ */
+
+Layout.prototype.getPadding = function() {
+	var padding = this.padding || 0;
+	if (typeof padding === 'number') {
+		return { top: padding, right: padding, bottom: padding, left: padding };
+	}
+
+	return {
+		top: padding.top || 0,
+		right: padding.right || 0,
+		bottom: padding.bottom || 0,
+		left: padding.left || 0
+	};
+};
+
+/**
+ * Get the visible children along with their natural size
+ * Internal use only
+ *
+ * @return {Object[]} items [{displayObject, width, height}]
+ */
+
+Layout.prototype.getLayoutItems = function() {
+	return this.children.filter(function(child) {
+		return child.visible;
+	}).map(function(child) {
+		var size = child.getNaturalSize();
+
+		return {
+			displayObject: child,
+			width: size.width,
+			height: size.height
+		};
+	});
+};
+
+/**
+ * Size this Layout to fit its children when fitContent is set
+ * Called by ThreeUI.updateLayout, for nested layouts before the layouts they're in
+ */
+
+Layout.prototype.measureContent = function() {
+	if (!this.fitContent) return;
+
+	var padding = this.getPadding();
+	var content = this.computeLayout(this.getLayoutItems(), null, null);
+
+	this.width = content.width + padding.left + padding.right;
+	this.height = content.height + padding.top + padding.bottom;
+};
+
+/**
+ * Position and size the children within the bounds of this Layout
+ * Called by ThreeUI.updateLayout, for nested layouts after the layouts they're in
+ */
+
+Layout.prototype.arrangeChildren = function() {
+	var bounds = this.getLayoutBounds();
+	var padding = this.getPadding();
+	var items = this.getLayoutItems();
+
+	var innerWidth = Math.max(0, bounds.width - padding.left - padding.right);
+	var innerHeight = Math.max(0, bounds.height - padding.top - padding.bottom);
+	var content = this.computeLayout(items, innerWidth, innerHeight);
+
+	items.forEach(function(item, idx) {
+		var rect = content.rects[idx];
+
+		item.displayObject.layoutRect = {
+			x: padding.left + rect.x,
+			y: padding.top + rect.y,
+			width: rect.width,
+			height: rect.height
+		};
+	});
+};
+
+/**
+ * Compute the position and size of every item within the content box, implemented by every type of Layout
+ *
+ * @param {Object[]} items As returned by getLayoutItems
+ * @param {int|null} innerWidth Width of the content box, null when measuring the natural size of the content
+ * @param {int|null} innerHeight Height of the content box, null when measuring the natural size of the content
+ * @return {Object} layout {rects: [{x, y, width, height}], width, height} rects are relative to the content box
+ */
+
+Layout.prototype.computeLayout = function(items, innerWidth, innerHeight) {
+	throw new Error('Layout.computeLayout should be implemented by every type of Layout');
+};
+
+/**
+ * Layouts have nothing to draw themselves, their children are drawn by ThreeUI.draw
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ */
+
+Layout.prototype.draw = function(context, x, y, width, height) {};
+
+// Export Layout as module
+module.exports = Layout;
@@ -0,0 +1,180 @@
+var Sprite = require('./Sprite.js');
+
+// Untrimmed, unrotated copies of sheet frames to slice from, shared by all NineSliceSprites
+var frameCanvases = {};
+
+/**
+ * NineSliceSprite
+ * @extends ThreeUI.Sprite
+ *
+ * Sprite that keeps its corners at their original size, stretching only the edges and the center
+ * The insets are in pixels of the image (or untrimmed sheet frame), set left and right or top and bottom to 0 for a three-slice
+ * When the sprite is smaller than its corners, the corners are scaled down to fit
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createNineSliceSprite or ThreeUI.createNineSliceSpriteFromSheet instead
+ *
+ * @param {ThreeUI} ui
+ * @param {string} assetPath
+ * @param {Object|int} insets {left, top, right, bottom}, or one inset for all sides
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @param {string} sheetImagePath
+ * @param {string} sheetDataPath
+ */
+
+var NineSliceSprite = function(ui, assetPath, insets, x, y, width, height, sheetImagePath, sheetDataPath) {
+	if (typeof insets !== 'object') {
+		var inset = typeof insets === 'number' ? insets : 0;
+		insets = { left: inset, top: inset, right: inset, bottom: inset };
+	}
+
+	this.insets = {
+		left: insets.left || 0,
+		top: insets.top || 0,
+		right: insets.right || 0,
+		bottom: insets.bottom || 0
+	};
+
+	// Run Sprite constructor on this object
+	Sprite.bind(this)(ui, assetPath, x, y, width, height, sheetImagePath, sheetDataPath);
+};
+
+NineSliceSprite.prototype = Object.create(Sprite.prototype);
+
+/**
+ * Draw this NineSliceSprite onto the provided context
+ * Used internally by DisplayObject.render
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ */
+
+NineSliceSprite.prototype.draw = function(context, x, y, width, height) {
+	var source = this.getSliceSource();
+	var columns = this.getSlices(source.width, width, this.insets.left, this.insets.right);
+	var rows = this.getSlices(source.height, height, this.insets.top, this.insets.bottom);
+
+	rows.forEach(function(row) {
+		columns.forEach(function(column) {
+			if (column.sourceSize <= 0 || row.sourceSize <= 0 || column.size <= 0 || row.size <= 0) return;
+
+			context.drawImage(
+				source.image,
+				source.x + column.source, source.y + row.source, column.sourceSize, row.sourceSize,
+				x + column.position, y + row.position, column.size, row.size
+			);
+		});
+	});
+};
+
+/**
+ * Divide one axis into its three slices
+ * Internal use only
+ *
+ * @param {int} sourceSize Size of the image along this axis
+ * @param {int} size Size to draw along this axis
+ * @param {int} start Inset at the start of this axis
+ * @param {int} end Inset at the end of this axis
+ * @return {Object[]} slices [{source, sourceSize, position, size}]
+ */
+
+NineSliceSprite.prototype.getSlices = function(sourceSize, size, start, end) {
+	start = Math.min(start, sourceSize);
+	end = Math.min(end, sourceSize - start);
+
+	// Scale the insets down when they don't fit
+	var scale = start + end > size ? size / (start + end) : 1;
+	var drawStart = start * scale;
+	var drawEnd = end * scale;
+
+	return [
+		{ source: 0, sourceSize: start, position: 0, size: drawStart },
+		{ source: start, sourceSize: sourceSize - start - end, position: drawStart, size: size - drawStart - drawEnd },
+		{ source: sourceSize - end, sourceSize: end, position: size - drawEnd, size: drawEnd },
+	];
+};
+
+/**
+ * Map a position along one axis of the drawn sprite back to the same axis of the image
+ * Internal use only
+ *
+ * @param {float} position
+ * @param {int} sourceSize
+ * @param {int} size
+ * @param {int} start
+ * @param {int} end
+ * @return {float}
+ */
+
+NineSliceSprite.prototype.mapToSource = function(position, sourceSize, size, start, end) {
+	var slices = this.getSlices(sourceSize, size, start, end);
+
+	for (var idx = 0;idx < slices.length;idx++) {
+		var slice = slices[idx];
+		if (position < slice.position + slice.size || idx === slices.length - 1) {
+			var progress = slice.size > 0 ? (position - slice.position) / slice.size : 0;
+			return slice.source + progress * slice.sourceSize;
+		}
+	}
+};
+
+/**
+ * Get the image and the area within it to slice from
+ * Trimmed and rotated sheet frames are drawn onto a canvas first, so they can be sliced like a regular image
+ * Internal use only
+ *
+ * @return {Object} source {image, x, y, width, height}
+ */
+
+NineSliceSprite.prototype.getSliceSource = function() {
+	var sourceSize = this.getSourceSize();
+
+	if (!this.sheet || !this.sheetImageData) {
+		return { image: this.asset, x: 0, y: 0, width: sourceSize.width, height: sourceSize.height };
+	}
+
+	var frameData = this.sheetImageData;
+	if (!frameData['rotated'] && !frameData['trimmed']) {
+		var frame = frameData['frame'];
+		return { image: this.sheet, x: frame['x'], y: frame['y'], width: frame['w'], height: frame['h'] };
+	}
+
+	var key = this.sheetImagePath + '#' + this.assetPath;
+	if (!frameCanvases[key]) {
+		var canvas = document.createElement('canvas');
+		canvas.width = sourceSize.width;
+		canvas.height = sourceSize.height;
+		this.drawFrame(canvas.getContext('2d'), 0, 0, sourceSize.width, sourceSize.height);
+
+		frameCanvases[key] = canvas;
+	}
+
+	return { image: frameCanvases[key], x: 0, y: 0, width: sourceSize.width, height: sourceSize.height };
+};
+
+/**
+ * Map a local point to a pixel of the alpha mask, through the slice it's in
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} mask
+ * @return {Object} position {x, y}
+ */
+
+NineSliceSprite.prototype.getMaskPosition = function(x, y, width, height, mask) {
+	return {
+		x: this.mapToSource(x, mask.width, width, this.insets.left, this.insets.right),
+		y: this.mapToSource(y, mask.height, height, this.insets.top, this.insets.bottom)
+	};
+};
+
+// Export NineSliceSprite as module
+module.exports = NineSliceSprite;
@@ -1,4 +1,5 @@
 var DisplayObject = require('./DisplayObject');
+var gradients = require('./gradients.js');
 
 /**
  * Rectangle
@@ -8,7 +9,7 @@ var DisplayObject = require('./DisplayObject');
  * Use ThreeUI.createRectangle instead to create rectangles
  * 
  * @param {ThreeUI} ui
- * @param {string} color 
+ * @param {string|Object} color Color or gradient from ThreeUI.gradients
  * @param {int} x 
  * @param {int} y 
  * @param {int} width
@@ -18,6 +19,13 @@ var DisplayObject = require('./DisplayObject');
 var Rectangle = function(ui, color, x, y, width, height) {
 	this.color = color;
 
+	// Radius for all corners, or per corner as { topLeft, topRight, bottomRight, bottomLeft }
+	this.cornerRadius = 0;
+
+	// The border is drawn on the inside of the bounds
+	this.borderColor = null; // Color or gradient, null to disable
+	this.borderWidth = 0;
+
 	var x = typeof x !== 'undefined' ? x : 0;
 	var y = typeof y !== 'undefined' ? y : 0;
 	var width = typeof width !== 'undefined' ? width : 1;
@@ -29,6 +37,68 @@ var Rectangle = function(ui, color, x, y, width, height) {
 
 Rectangle.prototype = Object.create(DisplayObject.prototype);
 
+/**
+ * Get the radius of every corner, scaled down like CSS does when the corners don't fit
+ *
+ * @param {int} width
+ * @param {int} height
+ * @return {float[]} radii [topLeft, topRight, bottomRight, bottomLeft]
+ */
+
+Rectangle.prototype.getCornerRadii = function(width, height) {
+	var cornerRadius = this.cornerRadius || 0;
+	var radii = typeof cornerRadius === 'number'
+		? [cornerRadius, cornerRadius, cornerRadius, cornerRadius]
+		: [cornerRadius.topLeft || 0, cornerRadius.topRight || 0, cornerRadius.bottomRight || 0, cornerRadius.bottomLeft || 0];
+
+	var scale = 1;
+	var fit = function(size, radiusA, radiusB) {
+		if (radiusA + radiusB > size) {
+			scale = Math.min(scale, size / (radiusA + radiusB));
+		}
+	};
+
+	fit(width, radii[0], radii[1]);
+	fit(width, radii[3], radii[2]);
+	fit(height, radii[0], radii[3]);
+	fit(height, radii[1], radii[2]);
+
+	return radii.map(function(radius) {
+		return Math.max(0, radius * scale);
+	});
+};
+
+/**
+ * Only count points within the rounded corners, unless there is a hitArea
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @return {bool}
+ */
+
+Rectangle.prototype.containsLocalPoint = function(x, y, width, height) {
+	var inside = DisplayObject.prototype.containsLocalPoint.call(this, x, y, width, height);
+	if (!inside || this.hitArea) return inside;
+
+	var radii = this.getCornerRadii(width, height);
+	var corners = [
+		{ x: radii[0], y: radii[0], radius: radii[0], inCorner: x < radii[0] && y < radii[0] },
+		{ x: width - radii[1], y: radii[1], radius: radii[1], inCorner: x > width - radii[1] && y < radii[1] },
+		{ x: width - radii[2], y: height - radii[2], radius: radii[2], inCorner: x > width - radii[2] && y > height - radii[2] },
+		{ x: radii[3], y: height - radii[3], radius: radii[3], inCorner: x < radii[3] && y > height - radii[3] },
+	];
+
+	return corners.every(function(corner) {
+		if (!corner.inCorner) return true;
+
+		var distanceX = x - corner.x;
+		var distanceY = y - corner.y;
+		return distanceX * distanceX + distanceY * distanceY <= corner.radius * corner.radius;
+	});
+};
+
 /**
  * Draw this Rectangle onto the provided context
  * Used internally by DisplayObject.render
@@ -41,8 +111,59 @@ Rectangle.prototype = Object.create(DisplayObject.prototype);
  */
 
 Rectangle.prototype.draw = function(context, x, y, width, height) {
-	context.fillStyle = this.color;
-	context.fillRect(x, y, width, height);
+	var radii = this.getCornerRadii(width, height);
+	var rounded = radii.some(function(radius) {
+		return radius > 0;
+	});
+
+	context.fillStyle = gradients.toFillStyle(context, this.color, x, y, width, height);
+
+	if (rounded) {
+		context.beginPath();
+		roundedRectPath(context, x, y, width, height, radii);
+		context.fill();
+	} else {
+		context.fillRect(x, y, width, height);
+	}
+
+	if (!this.borderColor || !(this.borderWidth > 0)) return;
+
+	// Stroke along the middle of the border, so it stays within the bounds
+	var borderWidth = Math.min(this.borderWidth, width / 2, height / 2);
+	var inset = borderWidth / 2;
+
+	context.strokeStyle = gradients.toFillStyle(context, this.borderColor, x, y, width, height);
+	context.lineWidth = borderWidth;
+
+	context.beginPath();
+	roundedRectPath(context, x + inset, y + inset, width - borderWidth, height - borderWidth, radii.map(function(radius) {
+		return Math.max(0, radius - inset);
+	}));
+	context.stroke();
+};
+
+/**
+ * Add a rectangle with rounded corners to the current path of the context
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @param {float[]} radii [topLeft, topRight, bottomRight, bottomLeft]
+ */
+
+var roundedRectPath = function(context, x, y, width, height, radii) {
+	context.moveTo(x + radii[0], y);
+	context.lineTo(x + width - radii[1], y);
+	context.arcTo(x + width, y, x + width, y + radii[1], radii[1]);
+	context.lineTo(x + width, y + height - radii[2]);
+	context.arcTo(x + width, y + height, x + width - radii[2], y + height, radii[2]);
+	context.lineTo(x + radii[3], y + height);
+	context.arcTo(x, y + height, x, y + height - radii[3], radii[3]);
+	context.lineTo(x, y + radii[0]);
+	context.arcTo(x, y, x + radii[0], y, radii[0]);
+	context.closePath();
 };
 
 // Export Rectangle as module
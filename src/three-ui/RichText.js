@@ -0,0 +1,465 @@
+var Sprite = require('./Sprite.js');
+var Text = require('./Text.js');
+var gradients = require('./gradients.js');
+var wordWrap = require('./utils/wordWrap.js');
+
+// Matches [tag], [tag=value] and [/tag] for all supported tags
+var tagRegex = /\[(\/?)(color|b|i|size|img)(?:=([^\]]*))?\]/g;
+
+/**
+ * RichText
+ * @extends ThreeUI.Text
+ *
+ * Text with inline style runs and images, using simple markup:
+ * [color=#ff0000]red[/color], [b]bold[/b], [i]italic[/i], [size=30]big[/size] and [img=coin]
+ * Tags can be nested, everything outside of tags uses the style of the RichText itself
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.createRichText instead to create rich text
+ *
+ * @param {ThreeUI} ui
+ * @param {string} text
+ * @param {int} size
+ * @param {string} font
+ * @param {string|Object} color Color or gradient from ThreeUI.gradients
+ * @param {int} x
+ * @param {int} y
+ */
+
+var RichText = function(ui, text, size, font, color, x, y) {
+	// Names used by [img=name] mapped to an asset path, or to { assetPath, sheetImagePath, sheetDataPath } for sheet frames
+	// Names that aren't in here are used as asset path directly
+	this.images = {};
+	this.imageScale = 1; // Height of inline images, relative to the font size
+
+	this.imageSprites = {};
+
+	// Run Text constructor on this object
+	Text.bind(this)(ui, text, size, font, color, x, y);
+};
+
+RichText.prototype = Object.create(Text.prototype);
+
+/**
+ * Inline images affect the layout as well
+ *
+ * @return {string}
+ */
+
+RichText.prototype.getTextLayoutCacheKey = function() {
+	return Text.prototype.getTextLayoutCacheKey.call(this) + '|' + this.imageScale + '|' + JSON.stringify(this.images);
+};
+
+/**
+ * Parse the markup into runs of text, images and line breaks, each with the style at that point
+ *
+ * @param {string} markup
+ * @return {Object[]} runs [{type, text, name, style}] type is text, image or newline
+ */
+
+RichText.parse = function(markup) {
+	var runs = [];
+	var stack = [{ tag: null, style: {} }];
+
+	var addText = function(text) {
+		var style = stack[stack.length - 1].style;
+		text.split('\n').forEach(function(part, idx) {
+			if (idx > 0) {
+				runs.push({ type: 'newline', style: style });
+			}
+
+			if (part.length > 0) {
+				runs.push({ type: 'text', text: part, style: style });
+			}
+		});
+	};
+
+	var lastIndex = 0;
+	var match;
+	tagRegex.lastIndex = 0;
+	while ((match = tagRegex.exec(markup)) !== null) {
+		addText(markup.substring(lastIndex, match.index));
+		lastIndex = tagRegex.lastIndex;
+
+		var closing = match[1] === '/';
+		var tag = match[2];
+		var value = match[3];
+		var style = stack[stack.length - 1].style;
+
+		if (tag === 'img') {
+			if (!closing) {
+				runs.push({ type: 'image', name: value, style: style });
+			}
+		} else if (closing) {
+			// Close the most recent matching tag, along with any tags that were opened within it
+			for (var idx = stack.length - 1;idx > 0;idx--) {
+				if (stack[idx].tag === tag) {
+					stack.length = idx;
+					break;
+				}
+			}
+		} else {
+			var newStyle = {};
+			Object.keys(style).forEach(function(key) {
+				newStyle[key] = style[key];
+			});
+
+			if (tag === 'color') {
+				newStyle.color = value;
+			} else if (tag === 'b') {
+				newStyle.bold = true;
+			} else if (tag === 'i') {
+				newStyle.italic = true;
+			} else if (tag === 'size') {
+				newStyle.size = parseFloat(value);
+			}
+
+			stack.push({ tag: tag, style: newStyle });
+		}
+	}
+
+	addText(markup.substring(lastIndex));
+
+	return runs;
+};
+
+/**
+ * Set the image used by [img=name], redraws this RichText
+ * Changes made to the images map directly aren't noticed until something else changes
+ *
+ * @param {string} name
+ * @param {string|Object} image Asset path, or { assetPath, sheetImagePath, sheetDataPath } for a sheet frame
+ */
+
+RichText.prototype.setImage = function(name, image) {
+	this.images[name] = image;
+	this.ui.markDirty(this);
+};
+
+/**
+ * Get the CSS font string for a run
+ *
+ * @param {Object} style
+ * @param {int} size
+ * @return {string}
+ */
+
+RichText.prototype.getRunFontString = function(style, size) {
+	return (style.italic ? 'italic' : this.fontStyle) + ' ' + (style.bold ? 'bold' : this.fontWeight) + ' ' + size + 'px ' + this.font;
+};
+
+/**
+ * Get the Sprite used to draw an inline image, created on first use
+ * Internal use only
+ *
+ * @param {string} name
+ * @return {Sprite}
+ */
+
+RichText.prototype.getImageSprite = function(name) {
+	var image = this.images[name] || name;
+	var key = typeof image === 'string' ? image : [image.sheetDataPath, image.assetPath].join('#');
+
+	if (!this.imageSprites[key]) {
+		var sprite = typeof image === 'string'
+			? new Sprite(this.ui, image)
+			: new Sprite(this.ui, image.assetPath, 0, 0, undefined, undefined, image.sheetImagePath, image.sheetDataPath);
+
+		if (!sprite.getSourceSize()) {
+			throw new Error('Image "' + name + '" for rich text is not loaded');
+		}
+
+		this.imageSprites[key] = sprite;
+	}
+
+	return this.imageSprites[key];
+};
+
+/**
+ * Lay out the runs at the given size, wrapping on spaces and sharing a baseline per line
+ * Sizes from [size] tags are scaled along when the size is lowered to fit
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} size
+ * @return {Object} layout {placements, size, width, height, offsetX, offsetY} placements are relative to the top left
+ */
+
+RichText.prototype.measureText = function(context, size) {
+	var scale = size / this.size;
+	var units = this.getUnits(context, scale);
+
+	// Minimum height of every line, so empty lines take up space as well
+	context.font = this.getRunFontString({}, size);
+	var strut = this.getFontMetrics(context, size);
+
+	var measure = function(units) {
+		return this.getPiecesWidth(this.getLinePieces(context, units));
+	}.bind(this);
+
+	var isBreak = function(unit) {
+		return unit.type === 'text' && wordWrap.isSpace(unit.text);
+	};
+
+	var paragraphs = [[]];
+	units.forEach(function(unit) {
+		if (unit.type === 'newline') {
+			paragraphs.push([]);
+		} else {
+			paragraphs[paragraphs.length - 1].push(unit);
+		}
+	});
+
+	var lines = [];
+	paragraphs.forEach(function(paragraph) {
+		wordWrap.wrap(paragraph, this.wordWrapWidth, measure, isBreak).forEach(function(wrappedLine) {
+			var pieces = this.getLinePieces(context, wrappedLine.units);
+
+			lines.push({
+				pieces: pieces,
+				width: this.getPiecesWidth(pieces),
+				ascent: Math.max.apply(Math, [strut.ascent].concat(pieces.map(function(piece) {
+					return piece.ascent;
+				}))),
+				descent: Math.max.apply(Math, [strut.descent].concat(pieces.map(function(piece) {
+					return piece.descent;
+				}))),
+			});
+		}, this);
+	}, this);
+
+	var padding = this.getStrokePadding();
+	var placements = [];
+	var width = 0;
+	var top = padding;
+
+	lines.forEach(function(line, idx) {
+		line.top = top;
+		width = Math.max(width, line.width);
+
+		if (idx < lines.length - 1) {
+			top += (line.ascent + line.descent) * this.lineHeight;
+		}
+	}, this);
+
+	var firstLine = lines[0];
+	var lastLine = lines[lines.length - 1];
+	var height = lastLine.top - padding + lastLine.ascent + lastLine.descent;
+
+	lines.forEach(function(line) {
+		var x = padding;
+		if (this.textAlign === 'center') {
+			x += (width - line.width) / 2;
+		} else if (this.textAlign === 'right' || this.textAlign === 'end') {
+			x += width - line.width;
+		}
+
+		var baseline = line.top + line.ascent;
+		line.pieces.forEach(function(piece) {
+			placements.push({ piece: piece, x: x, y: baseline });
+			x += piece.width + this.letterSpacing;
+		}, this);
+	}, this);
+
+	var offsetX = 0;
+	if (this.textAlign === 'center') {
+		offsetX = -width / 2;
+	} else if (this.textAlign === 'right' || this.textAlign === 'end') {
+		offsetX = -width;
+	}
+
+	// Position the first line around y based on the baseline, like Text does
+	var firstLineHeight = firstLine.ascent + firstLine.descent;
+	var offsetY = 0;
+	if (this.textBaseline === 'middle') {
+		offsetY = -firstLineHeight / 2;
+	} else if (this.textBaseline === 'alphabetic') {
+		offsetY = -firstLine.ascent;
+	} else if (this.textBaseline === 'ideographic' || this.textBaseline === 'bottom') {
+		offsetY = -firstLineHeight;
+	}
+
+	// Then move the line that's positioned at y based on textVerticalAlign
+	var lastLineTop = lastLine.top - padding;
+	if (this.textVerticalAlign === 'center') {
+		offsetY -= lastLineTop / 2;
+	} else if (this.textVerticalAlign === 'bottom') {
+		offsetY -= lastLineTop;
+	}
+
+	return {
+		placements: placements,
+		size: size,
+		width: width + padding * 2,
+		height: height + padding * 2,
+		offsetX: offsetX - padding,
+		offsetY: offsetY - padding,
+	};
+};
+
+/**
+ * Split the runs up into characters, images and line breaks, so they can be wrapped like the characters of Text
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {float} scale Scale of all sizes
+ * @return {Object[]} units [{type, text, sprite, font, style, width, height, ascent, descent}] type is text, image or newline
+ */
+
+RichText.prototype.getUnits = function(context, scale) {
+	var units = [];
+
+	RichText.parse(this.text.toString()).forEach(function(run) {
+		var size = (run.style.size || this.size) * scale;
+		var font = this.getRunFontString(run.style, size);
+
+		context.font = font;
+		var metrics = this.getFontMetrics(context, size);
+
+		if (run.type === 'image') {
+			var sprite = this.getImageSprite(run.name);
+			var sourceSize = sprite.getSourceSize();
+			var imageHeight = size * this.imageScale;
+
+			// Images sit on the baseline
+			units.push({
+				type: 'image',
+				sprite: sprite,
+				style: run.style,
+				width: sourceSize.width * imageHeight / sourceSize.height,
+				height: imageHeight,
+				ascent: imageHeight,
+				descent: 0,
+			});
+		} else if (run.type === 'newline') {
+			units.push({ type: 'newline' });
+		} else {
+			run.text.split('').forEach(function(character) {
+				units.push({
+					type: 'text',
+					text: character,
+					font: font,
+					style: run.style,
+					ascent: metrics.ascent,
+					descent: metrics.descent,
+				});
+			});
+		}
+	}, this);
+
+	return units;
+};
+
+/**
+ * Join the characters of a line back up into measured pieces of text that share a style, images are kept as they are
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object[]} units
+ * @return {Object[]} pieces [{type, text, sprite, font, style, width, height, ascent, descent}]
+ */
+
+RichText.prototype.getLinePieces = function(context, units) {
+	var pieces = [];
+
+	units.forEach(function(unit) {
+		var last = pieces[pieces.length - 1];
+
+		if (unit.type === 'text' && last && last.type === 'text' && last.style === unit.style && last.font === unit.font) {
+			last.text += unit.text;
+		} else if (unit.type === 'text') {
+			pieces.push({
+				type: 'text',
+				text: unit.text,
+				font: unit.font,
+				style: unit.style,
+				ascent: unit.ascent,
+				descent: unit.descent,
+			});
+		} else {
+			pieces.push(unit);
+		}
+	});
+
+	pieces.forEach(function(piece) {
+		if (piece.type === 'text') {
+			context.font = piece.font;
+			piece.width = this.measureLine(context, piece.text);
+		}
+	}, this);
+
+	return pieces;
+};
+
+/**
+ * Width of a line of pieces, letterSpacing is only added between pieces, like it's only added between characters by Text
+ * Internal use only
+ *
+ * @param {Object[]} pieces
+ * @return {float}
+ */
+
+RichText.prototype.getPiecesWidth = function(pieces) {
+	return pieces.reduce(function(width, piece, idx) {
+		return width + piece.width + (idx > 0 ? this.letterSpacing : 0);
+	}.bind(this), 0);
+};
+
+/**
+ * Draw this RichText onto the provided context
+ * Used internally by DisplayObject.render
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ */
+
+RichText.prototype.draw = function(context, x, y, width, height) {
+	var layout = this.getTextLayout();
+	var padding = this.getStrokePadding();
+
+	// Runs without a color share the fill of the RichText, so gradients span all of them
+	var fillStyle = gradients.toFillStyle(context, this.color, x + padding, y + padding, width - padding * 2, height - padding * 2);
+
+	context.textAlign = 'left';
+	context.textBaseline = 'alphabetic';
+	context.strokeStyle = this.stroke;
+	context.lineWidth = this.strokeThickness;
+	context.lineJoin = 'round';
+
+	var passes = padding > 0 ? ['stroke', 'fill'] : ['fill'];
+
+	passes.forEach(function(pass, passIdx) {
+		// Only the first pass casts a shadow, the outline already covers the shadow of the fill
+		this.applyShadow(context, passIdx === 0);
+
+		layout.placements.forEach(function(placement) {
+			var piece = placement.piece;
+			var pieceX = x + placement.x;
+			var pieceY = y + placement.y;
+
+			if (piece.type === 'image') {
+				if (pass === 'fill') {
+					piece.sprite.drawFrame(context, pieceX, pieceY - piece.height, piece.width, piece.height);
+				}
+				return;
+			}
+
+			context.font = piece.font;
+			context.fillStyle = piece.style.color || fillStyle;
+
+			this.drawLine(context, piece.text, pieceX, pieceY, function(text, textX, textY) {
+				if (pass === 'stroke') {
+					context.strokeText(text, textX, textY);
+				} else {
+					context.fillText(text, textX, textY);
+				}
+			});
+		}, this);
+	}, this);
+};
+
+// Export RichText as module
+module.exports = RichText;
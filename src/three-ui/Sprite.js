@@ -1,5 +1,8 @@
 var DisplayObject = require('./DisplayObject.js');
 
+// Alpha masks per asset or sheet frame, shared by all Sprites
+var alphaMasks = {};
+
 /**
  * Sprite
  * @extends ThreeUI.DisplayObject
@@ -23,16 +26,22 @@ var Sprite = function(ui, assetPath, x, y, width, height, sheetImagePath, sheetD
 	var width = typeof width !== 'undefined' ? width : null;
 	var height = typeof height !== 'undefined' ? height : null;
 
-	if (this.asset) {
-		width = width !== null ? width : this.asset.width;
-		height = height !== null ? height : this.asset.height;
-	} else if (this.sheet && this.sheetImageData) {
-		width = width !== null ? width : this.sheetImageData['frame']['w'];
-		height = height !== null ? height : this.sheetImageData['frame']['h'];
+	var sourceSize = this.getSourceSize();
+	if (sourceSize) {
+		width = width !== null ? width : sourceSize.width;
+		height = height !== null ? height : sourceSize.height;
 	}
 
 	// Run DisplayObject constructor on this object
 	DisplayObject.bind(this)(ui, x, y, width, height);
+
+	// Alpha threshold between 0 and 1, when set clicks only count on pixels with a higher alpha
+	this.hitTestAlpha = null;
+
+	// Pivot from before a frame pivot was applied, restored for frames without a pivot
+	this.pivotBeforeFrame = null;
+
+	this.applyFramePivot();
 };
 
 Sprite.prototype = Object.create(DisplayObject.prototype);
@@ -49,14 +58,73 @@ Sprite.prototype = Object.create(DisplayObject.prototype);
  */
 
 Sprite.prototype.draw = function(context, x, y, width, height) {
-	if (this.sheet && this.sheetImageData) {
-		// We're handling a sprite from a sheet
-		context.drawImage(this.sheet, this.sheetImageData['frame']['x'], this.sheetImageData['frame']['y'], this.sheetImageData['frame']['w'], this.sheetImageData['frame']['h'], x, y, width, height);
-	} else {
+	this.drawFrame(context, x, y, width, height);
+};
+
+/**
+ * Draw the image or sheet frame of this Sprite in the given box
+ * Trimmed frames are drawn at their offset within the box, rotated frames are rotated back
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ */
+
+Sprite.prototype.drawFrame = function(context, x, y, width, height) {
+	if (!this.sheet || !this.sheetImageData) {
 		context.drawImage(this.asset, x, y, width, height);
+		return;
+	}
+
+	// We're handling a sprite from a sheet
+	var frame = this.sheetImageData['frame'];
+	var spriteSourceSize = this.sheetImageData['spriteSourceSize'];
+	var sourceSize = this.sheetImageData['sourceSize'];
+
+	var scaleX = width / sourceSize['w'];
+	var scaleY = height / sourceSize['h'];
+
+	var drawX = x + spriteSourceSize['x'] * scaleX;
+	var drawY = y + spriteSourceSize['y'] * scaleY;
+	var drawWidth = frame['w'] * scaleX;
+	var drawHeight = frame['h'] * scaleY;
+
+	if (this.sheetImageData['rotated']) {
+		// Rotated frames are stored 90 degrees clockwise in the sheet
+		context.save();
+		context.translate(drawX, drawY + drawHeight);
+		context.rotate(-Math.PI / 2);
+		context.drawImage(this.sheet, frame['x'], frame['y'], frame['h'], frame['w'], 0, 0, drawHeight, drawWidth);
+		context.restore();
+	} else {
+		context.drawImage(this.sheet, frame['x'], frame['y'], frame['w'], frame['h'], drawX, drawY, drawWidth, drawHeight);
 	}
 };
 
+/**
+ * Get the size of the image, or the untrimmed size of the sheet frame
+ *
+ * @return {Object|null} size {width, height}
+ */
+
+Sprite.prototype.getSourceSize = function() {
+	if (this.asset) {
+		return {
+			width: this.asset.width,
+			height: this.asset.height
+		};
+	} else if (this.sheet && this.sheetImageData) {
+		return {
+			width: this.sheetImageData['sourceSize']['w'],
+			height: this.sheetImageData['sourceSize']['h']
+		};
+	}
+
+	return null;
+};
+
 /**
  * Adjust the asset ID of this sprite
  * 
@@ -73,6 +141,32 @@ Sprite.prototype.setAssetPath = function(assetPath, sheetImagePath, sheetDataPat
 	} else {
 		this.asset = null;
 		this.parseSheet(assetPath, sheetImagePath, sheetDataPath)
+		this.applyFramePivot();
+	}
+};
+
+/**
+ * Used internally to take over the pivot of the current sheet frame, if it has one
+ * When the new frame has no pivot, the pivot from before the first frame pivot is restored
+ */
+
+Sprite.prototype.applyFramePivot = function() {
+	var framePivot = this.sheetImageData && this.sheetImageData['pivot'];
+	if (!this.pivot) return;
+
+	var pivot = null;
+	if (framePivot) {
+		this.pivotBeforeFrame = this.pivotBeforeFrame || { x: this.pivot.x, y: this.pivot.y };
+		pivot = { x: framePivot['x'], y: framePivot['y'] };
+	} else if (this.pivotBeforeFrame) {
+		pivot = this.pivotBeforeFrame;
+		this.pivotBeforeFrame = null;
+	}
+
+	if (pivot && (this.pivot.x !== pivot.x || this.pivot.y !== pivot.y)) {
+		this.pivot.x = pivot.x;
+		this.pivot.y = pivot.y;
+		this.ui.markDirty(this);
 	}
 };
 
@@ -90,30 +184,173 @@ Sprite.prototype.parseSheet = function(assetPath, sheetImagePath, sheetDataPath)
 
 	if (sheetImagePath || !this.sheet) {
 		this.sheet = AssetLoader.getAssetById(sheetImagePath);
+		this.sheetImagePath = sheetImagePath;
 	}
 
 	if (sheetDataPath || !this.sheetData) {
 		this.sheetData = AssetLoader.getAssetById(sheetDataPath);
+		this.sheetDataPath = sheetDataPath;
+	}
+
+	var data = Sprite.getSheetFrames(this.sheetData, this.sheetDataPath)[assetPath];
+	if (!data) {
+		throw new Error('Asset "' + assetPath + '" does not exist in sheet "' + this.sheetDataPath + '"');
 	}
 
-	if (typeof this.sheetData !== 'object') {
+	this.sheetImageData = data;
+};
+
+/**
+ * Get all frames of TexturePacker sheet data by filename, supports both the JSON (Array) and JSON (Hash) format
+ * Frames are normalized so they always have frame, rotated, trimmed, spriteSourceSize and sourceSize
+ * The result is cached on the sheet data, so sheets are only parsed once
+ *
+ * @param {Object} sheetData
+ * @param {string} sheetDataPath Used in error messages
+ * @return {Object} frames by filename
+ */
+
+Sprite.getSheetFrames = function(sheetData, sheetDataPath) {
+	if (typeof sheetData !== 'object') {
 		throw new Error('Invalid sheet data ' + sheetDataPath + ' -- not an object');
-	} else if(!this.sheetData['frames']) {
+	} else if(!sheetData['frames']) {
 		throw new Error('Invalid sheet data ' + sheetDataPath + ' -- does not have frames');
 	}
 
-	var data;
-	this.sheetData['frames'].forEach(function(frame) {
-		if (frame['filename'] === assetPath) {
-			data = frame;
+	if (sheetData['_frameMap']) {
+		return sheetData['_frameMap'];
+	}
+
+	var frameMap = {};
+	var addFrame = function(filename, data) {
+		var frame = data['frame'];
+
+		frameMap[filename] = {
+			filename: filename,
+			frame: frame,
+			rotated: !!data['rotated'],
+			trimmed: !!data['trimmed'],
+			spriteSourceSize: data['spriteSourceSize'] || { x: 0, y: 0, w: frame['w'], h: frame['h'] },
+			sourceSize: data['sourceSize'] || { w: frame['w'], h: frame['h'] },
+			pivot: data['pivot'],
+		};
+	};
+
+	var frames = sheetData['frames'];
+	if (Array.isArray(frames)) {
+		frames.forEach(function(data) {
+			addFrame(data['filename'], data);
+		});
+	} else {
+		Object.keys(frames).forEach(function(filename) {
+			addFrame(filename, frames[filename]);
+		});
+	}
+
+	// Not enumerable, so the cache doesn't show up when the data is serialized
+	Object.defineProperty(sheetData, '_frameMap', { value: frameMap });
+
+	return frameMap;
+};
+
+/**
+ * Check the point against the alpha of the image when hitTestAlpha is set
+ * Points outside of the image are left to the hitArea
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @return {bool}
+ */
+
+Sprite.prototype.containsLocalPoint = function(x, y, width, height) {
+	if (!DisplayObject.prototype.containsLocalPoint.call(this, x, y, width, height)) return false;
+
+	if (typeof this.hitTestAlpha !== 'number' || x < 0 || y < 0 || x >= width || y >= height) return true;
+
+	var mask = this.getAlphaMask();
+	if (!mask) return true;
+
+	var position = this.getMaskPosition(x, y, width, height, mask);
+	var maskX = Math.min(mask.width - 1, Math.floor(position.x));
+	var maskY = Math.min(mask.height - 1, Math.floor(position.y));
+
+	return mask.alpha[maskY * mask.width + maskX] > this.hitTestAlpha * 255;
+};
+
+/**
+ * Map a local point to a pixel of the alpha mask
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @param {Object} mask
+ * @return {Object} position {x, y}
+ */
+
+Sprite.prototype.getMaskPosition = function(x, y, width, height, mask) {
+	return {
+		x: x / width * mask.width,
+		y: y / height * mask.height
+	};
+};
+
+/**
+ * Get the alpha mask of the current image or sheet frame
+ * Masks are computed once per asset or frame and cached
+ *
+ * @return {Object|null} mask {width, height, alpha}, null when the image isn't loaded yet or can't be read (i.e. cross-origin)
+ */
+
+Sprite.prototype.getAlphaMask = function() {
+	var key = this.sheet ? this.sheetImagePath + '#' + this.assetPath : this.assetPath;
+	if (alphaMasks[key]) {
+		return alphaMasks[key];
+	}
+
+	// Images that aren't decoded yet have nothing to read, try again on the next hit test
+	var image = this.sheet || this.asset;
+	var sourceSize = this.getSourceSize();
+	if (!sourceSize || !image || image.complete === false) {
+		return null;
+	}
+
+	var width = sourceSize.width;
+	var height = sourceSize.height;
+
+	var canvas = document.createElement('canvas');
+	canvas.width = width;
+	canvas.height = height;
+
+	var context = canvas.getContext('2d');
+	this.drawFrame(context, 0, 0, width, height);
+
+	var mask = null;
+	try {
+		var data = context.getImageData(0, 0, width, height).data;
+
+		mask = {
+			width: width,
+			height: height,
+			alpha: new Uint8Array(width * height),
+		};
+
+		var length = width * height;
+		for (var i = 0;i < length;i++) {
+			mask.alpha[i] = data[i * 4 + 3];
 		}
-	});	
+	} catch (e) {
+		// The canvas is tainted by a cross-origin image, fall back to the bounds
+	}
 
-	if (!data) {
-		throw new Error('Asset "' + assetPath + '" does not exist in sheet "' + sheetDataPath + '"');
+	// Only real masks are cached, so images that can't be read yet are tried again later
+	if (mask) {
+		alphaMasks[key] = mask;
 	}
 
-	this.sheetImageData = data;
+	return mask;
 };
 
 // Export Sprite as module
@@ -1,4 +1,6 @@
 var DisplayObject = require('./DisplayObject.js');
+var gradients = require('./gradients.js');
+var wordWrap = require('./utils/wordWrap.js');
 
 /**
  * Text
@@ -7,11 +9,14 @@ var DisplayObject = require('./DisplayObject.js');
  * Used internally by ThreeUI, shouldn't be used directly
  * Use ThreeUI.createText instead to create text
  *
+ * x and y position the text origin, the text is drawn around it based on textAlign and textBaseline
+ * The bounds are measured from the text, so they can be used for events and as parent bounds
+ *
  * @param {ThreeUI} ui
  * @param {string} text
  * @param {int} size
  * @param {string} font
- * @param {string} color
+ * @param {string|Object} color Color or gradient from ThreeUI.gradients
  * @param {int} x
  * @param {int} y
  */
@@ -24,7 +29,21 @@ var Text = function(ui, text, size, font, color, x, y) {
 	this.size = typeof size !== 'undefined' ? size : 12;
 	this.font = typeof font !== 'undefined' ? font : 'Arial';
 	this.color = typeof color !== 'undefined' ? color : '#000000';
+	this.fontWeight = 'normal';
+	this.fontStyle = 'normal';
 	this.lineHeight = 1; // Modifier on text size
+	this.letterSpacing = 0; // Extra pixels between characters
+
+	this.stroke = null; // Outline color, null to disable
+	this.strokeThickness = 0;
+
+	this.shadowColor = null; // null to disable
+	this.shadowBlur = 0;
+	this.shadowOffset = { x: 0, y: 0 };
+
+	this.wordWrapWidth = 0; // Wrap words to fit within this width, 0 to disable
+	this.fitWidth = 0; // Lower the size until the text fits within this width, 0 to disable
+	this.fitHeight = 0; // Lower the size until the text fits within this height, 0 to disable
 
 	var x = typeof x !== 'undefined' ? x : 0;
 	var y = typeof y !== 'undefined' ? y : 0;
@@ -35,6 +54,292 @@ var Text = function(ui, text, size, font, color, x, y) {
 
 Text.prototype = Object.create(DisplayObject.prototype);
 
+/**
+ * Get the measured bounds of the text, positioned around the text origin
+ *
+ * @return {Object} position {x, y, width, height}
+ */
+
+Text.prototype.getLayoutBounds = function() {
+	if (this.layoutRect) {
+		return DisplayObject.prototype.getLayoutBounds.call(this);
+	}
+
+	// Width and height stay 0, so the pivot doesn't move the text origin
+	var origin = this.determinePositionInCanvas();
+	var layout = this.getTextLayout();
+
+	return {
+		x: origin.x + layout.offsetX,
+		y: origin.y + layout.offsetY,
+		width: layout.width,
+		height: layout.height
+	};
+};
+
+/**
+ * Text is sized by its measured bounds
+ *
+ * @return {Object} size {width, height}
+ */
+
+Text.prototype.getNaturalSize = function() {
+	var layout = this.getTextLayout();
+
+	return {
+		width: layout.width,
+		height: layout.height
+	};
+};
+
+/**
+ * Get the CSS font string for the given size
+ *
+ * @param {int} size
+ * @return {string}
+ */
+
+Text.prototype.getFontString = function(size) {
+	return this.fontStyle + ' ' + this.fontWeight + ' ' + size + 'px ' + this.font;
+};
+
+/**
+ * Get the width of the outline that is drawn outside of the text, 0 when there is no outline
+ *
+ * @return {float}
+ */
+
+Text.prototype.getStrokePadding = function() {
+	return this.stroke && this.strokeThickness > 0 ? this.strokeThickness / 2 : 0;
+};
+
+/**
+ * Measure the width of a single line, including letter spacing
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context With the font already set
+ * @param {string} line
+ * @return {float}
+ */
+
+Text.prototype.measureLine = function(context, line) {
+	return context.measureText(line).width + this.letterSpacing * Math.max(0, line.length - 1);
+};
+
+/**
+ * Get a key that changes whenever a property that affects the measured text changes
+ * Internal use only
+ *
+ * @return {string}
+ */
+
+Text.prototype.getTextLayoutCacheKey = function() {
+	return [
+		this.text, this.size, this.getFontString(this.size), this.lineHeight, this.textAlign, this.textBaseline,
+		this.textVerticalAlign, this.wordWrapWidth, this.fitWidth, this.fitHeight, this.letterSpacing, this.getStrokePadding()
+	].join('|');
+};
+
+/**
+ * Measure the text and break it up into lines, the result is cached until a property it depends on changes
+ * Internal use only
+ *
+ * @return {Object} layout {lines, size, width, height, offsetX, offsetY} offsets are from the text origin to the top left
+ */
+
+Text.prototype.getTextLayout = function() {
+	var cacheKey = this.getTextLayoutCacheKey();
+
+	if (this.textLayoutCacheKey === cacheKey) {
+		return this.textLayout;
+	}
+
+	var context = this.ui.context;
+	context.save();
+
+	var size = this.size;
+	var layout = this.measureText(context, size);
+
+	if (this.fitWidth > 0 || this.fitHeight > 0) {
+		var fits = function(layout) {
+			return (!(this.fitWidth > 0) || layout.width <= this.fitWidth) && (!(this.fitHeight > 0) || layout.height <= this.fitHeight);
+		}.bind(this);
+
+		if (!fits(layout)) {
+			// Start from a linear estimate, then step down as wrapping doesn't scale linearly
+			var ratio = Math.min(
+				this.fitWidth > 0 ? this.fitWidth / layout.width : 1,
+				this.fitHeight > 0 ? this.fitHeight / layout.height : 1
+			);
+			size = Math.max(1, Math.floor(size * ratio));
+			layout = this.measureText(context, size);
+
+			while (size > 1 && !fits(layout)) {
+				size--;
+				layout = this.measureText(context, size);
+			}
+		}
+	}
+
+	context.restore();
+
+	this.textLayout = layout;
+	this.textLayoutCacheKey = cacheKey;
+
+	return layout;
+};
+
+/**
+ * Measure the text at the given size, respecting line breaks, word wrapping, alignment and baseline
+ * The bounds are inflated to fit the outline
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {int} size
+ * @return {Object} layout {lines, size, width, height, offsetX, offsetY}
+ */
+
+Text.prototype.measureText = function(context, size) {
+	context.font = this.getFontString(size);
+
+	var lines = [];
+	this.text.toString().split('\n').forEach(function(paragraph) {
+		lines = lines.concat(this.wrapParagraph(context, paragraph));
+	}, this);
+
+	var width = 0;
+	lines.forEach(function(line) {
+		width = Math.max(width, this.measureLine(context, line));
+	}, this);
+
+	var fontMetrics = this.getFontMetrics(context, size);
+	var ascent = fontMetrics.ascent;
+	var emHeight = fontMetrics.ascent + fontMetrics.descent;
+
+	var lineAdvance = size * this.lineHeight;
+
+	var offsetX = 0;
+	if (this.textAlign === 'center') {
+		offsetX = -width / 2;
+	} else if (this.textAlign === 'right' || this.textAlign === 'end') {
+		offsetX = -width;
+	}
+
+	// Top of the first line relative to its y
+	var lineTop = 0;
+	if (this.textBaseline === 'middle') {
+		lineTop = -emHeight / 2;
+	} else if (this.textBaseline === 'alphabetic') {
+		lineTop = -ascent;
+	} else if (this.textBaseline === 'ideographic' || this.textBaseline === 'bottom') {
+		lineTop = -emHeight;
+	}
+
+	var padding = this.getStrokePadding();
+
+	return {
+		lines: lines,
+		size: size,
+		width: width + padding * 2,
+		height: (lines.length - 1) * lineAdvance + emHeight + padding * 2,
+		offsetX: offsetX - padding,
+		offsetY: lineTop - this.getMidLinePoint(lines.length) * lineAdvance - padding,
+	};
+};
+
+/**
+ * Get the ascent and descent of the current font of the context
+ * Uses the font's metrics when the browser provides them, otherwise estimates them from the size
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context With the font already set
+ * @param {int} size
+ * @return {Object} metrics {ascent, descent}
+ */
+
+Text.prototype.getFontMetrics = function(context, size) {
+	var metrics = context.measureText('M');
+
+	return {
+		ascent: typeof metrics.fontBoundingBoxAscent === 'number' ? metrics.fontBoundingBoxAscent : size * .8,
+		descent: typeof metrics.fontBoundingBoxDescent === 'number' ? metrics.fontBoundingBoxDescent : size * .2,
+	};
+};
+
+/**
+ * Split a paragraph into lines that fit within wordWrapWidth, breaking on spaces
+ * Words that don't fit on a line by themselves are broken up
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context With the font already set
+ * @param {string} paragraph
+ * @return {string[]} lines
+ */
+
+Text.prototype.wrapParagraph = function(context, paragraph) {
+	var lines = wordWrap.wrap(paragraph.split(''), this.wordWrapWidth, function(characters) {
+		return this.measureLine(context, characters.join(''));
+	}.bind(this));
+
+	return lines.map(function(line) {
+		return line.units.join('');
+	});
+};
+
+/**
+ * Index of the line that is positioned at the text origin, based on textVerticalAlign
+ * Internal use only
+ *
+ * @param {int} lineCount
+ * @return {float}
+ */
+
+Text.prototype.getMidLinePoint = function(lineCount) {
+	if (this.textVerticalAlign === 'center') {
+		return lineCount / 2 - 0.5;
+	} else if (this.textVerticalAlign === 'bottom') {
+		return lineCount - 1;
+	}
+
+	return 0; // Default to top
+};
+
+/**
+ * Shadows are drawn outside of the bounds
+ *
+ * @return {float} margin in UI pixels
+ */
+
+Text.prototype.getDrawMargin = function() {
+	if (!this.shadowColor) {
+		return 0;
+	}
+
+	return this.shadowBlur + Math.max(Math.abs(this.shadowOffset.x), Math.abs(this.shadowOffset.y));
+};
+
+/**
+ * Set or clear the shadow on the provided context
+ * Shadows aren't affected by the transform of the context, so they're scaled to the resolution of the UI here
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {bool} castShadow
+ */
+
+Text.prototype.applyShadow = function(context, castShadow) {
+	if (!castShadow || !this.shadowColor) {
+		context.shadowColor = 'transparent';
+		return;
+	}
+
+	var resolution = this.ui.resolution || 1;
+
+	context.shadowColor = this.shadowColor;
+	context.shadowBlur = this.shadowBlur * resolution;
+	context.shadowOffsetX = this.shadowOffset.x * resolution;
+	context.shadowOffsetY = this.shadowOffset.y * resolution;
+};
+
 /**
  * Draw this Text onto the provided context
  * Used internally by DisplayObject.render
@@ -42,28 +347,86 @@ Text.prototype = Object.create(DisplayObject.prototype);
  * @param {CanvasRenderingContext2D} context
  * @param {int} x
  * @param {int} y
+ * @param {int} width
+ * @param {int} height
  */
 
-Text.prototype.draw = function(context, x, y) {
-	context.font = this.size + 'px ' + this.font;
-	context.fillStyle = this.color;
+Text.prototype.draw = function(context, x, y, width, height) {
+	var layout = this.getTextLayout();
+	var padding = this.getStrokePadding();
+
+	// The gradient covers the text itself, not the outline around it
+	var fillStyle = gradients.toFillStyle(context, this.color, x + padding, y + padding, width - padding * 2, height - padding * 2);
+
+	// Move from the top left of the bounds back to the text origin
+	x -= layout.offsetX;
+	y -= layout.offsetY;
+
+	context.font = this.getFontString(layout.size);
 	context.textAlign = this.textAlign;
 	context.textBaseline = this.textBaseline;
 
-	var lines = this.text.split('\n');
+	var passes = [];
+	if (padding > 0) {
+		passes.push(function(line, lineX, lineY) {
+			context.strokeText(line, lineX, lineY);
+		});
+	}
+	passes.push(function(line, lineX, lineY) {
+		context.fillText(line, lineX, lineY);
+	});
 
-	var midLinePoint = 0; // Default to top
-	if (this.textVerticalAlign === 'center') {
-		midLinePoint = lines.length / 2 - 0.5;
-	} else if (this.textVerticalAlign === 'bottom') {
-		midLinePoint = lines.length - 1;
+	context.fillStyle = fillStyle;
+	context.strokeStyle = this.stroke;
+	context.lineWidth = this.strokeThickness;
+	context.lineJoin = 'round';
+
+	var lines = layout.lines;
+	var midLinePoint = this.getMidLinePoint(lines.length);
+
+	passes.forEach(function(pass, passIdx) {
+		// Only the first pass casts a shadow, the outline already covers the shadow of the fill
+		this.applyShadow(context, passIdx === 0);
+
+		for (var idx = 0;idx < lines.length;idx++) {
+			var lineY = y + (idx - midLinePoint) * (layout.size * this.lineHeight);
+			this.drawLine(context, lines[idx], x, lineY, pass);
+		}
+	}, this);
+};
+
+/**
+ * Draw a single line, character by character when there is letter spacing
+ * The line is aligned based on the textAlign of the context
+ * Internal use only
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {string} line
+ * @param {int} x
+ * @param {int} y
+ * @param {Function} drawText Draws the given text at the given position
+ */
+
+Text.prototype.drawLine = function(context, line, x, y, drawText) {
+	if (this.letterSpacing === 0) {
+		drawText(line, x, y);
+		return;
+	}
+
+	var textAlign = context.textAlign;
+	var lineWidth = this.measureLine(context, line);
+	if (textAlign === 'center') {
+		x -= lineWidth / 2;
+	} else if (textAlign === 'right' || textAlign === 'end') {
+		x -= lineWidth;
 	}
 
-	for (var idx = 0;idx < lines.length;idx++) {
-		var line = lines[idx];
-		var lineY = y + (idx - midLinePoint) * (this.size * this.lineHeight);
-		context.fillText(line, x, lineY);
+	context.textAlign = 'left';
+	for (var idx = 0;idx < line.length;idx++) {
+		drawText(line[idx], x, y);
+		x += context.measureText(line[idx]).width + this.letterSpacing;
 	}
+	context.textAlign = textAlign;
 };
 
 // Export Text as module
@@ -1,13 +1,27 @@
 var anchors = require('./anchors.js');
+var AnimatedSprite = require('./AnimatedSprite.js');
+var easing = require('./easing.js');
+var gradients = require('./gradients.js');
+var hitAreas = require('./hitAreas.js');
+var scaleModes = require('./scaleModes.js');
+var FlexBox = require('./FlexBox.js');
+var Graphics = require('./Graphics.js');
+var Grid = require('./Grid.js');
+var InteractionEvent = require('./InteractionEvent.js');
 var BitmapText = require('./BitmapText.js');
+var Container = require('./Container.js');
+var NineSliceSprite = require('./NineSliceSprite.js');
 var Rectangle = require('./Rectangle.js');
+var RichText = require('./RichText.js');
 var Sprite = require('./Sprite.js');
 var Text = require('./Text.js');
+var Tween = require('./Tween.js');
 
 var isFirefox = require('./utils/browserDetection.js').isFirefox;
+var regions = require('./utils/regions.js');
 
 // All properties that when adjusted will force a redraw of the UI
-var dirtyProperties = ['x','y','width','height','rotation','alpha','visible','pivot','anchor','smoothing','stretch','offset','text','scale','parent','textAlign','assetPath','color','left','right','up','down','ActiveInvoke'];
+var dirtyProperties = ['x','y','width','height','rotation','alpha','visible','pivot','anchor','smoothing','anchorToSafeArea','stretch','offset','text','scale','skew','fontScale','maxWidth','align','letterSpacing','lineHeight','parent','textAlign','textBaseline','textVerticalAlign','size','font','fontWeight','fontStyle','stroke','strokeThickness','shadowColor','shadowBlur','shadowOffset','wordWrapWidth','fitWidth','fitHeight','imageScale','images','insets','cornerRadius','borderColor','borderWidth','minSize','maxSize','aspectRatio','flex','padding','spacing','fitContent','direction','justifyContent','alignItems','wrap','columns','cellWidth','cellHeight','justifyItems','assetPath','color','left','right','up','down','ActiveInvoke'];
 
 var observeDirtyProperties = function(object, ui) {
 	dirtyProperties.forEach(function(prop) {
@@ -19,7 +33,7 @@ var observeDirtyProperties = function(object, ui) {
 		Object.defineProperty(object, prop, {
 			set: function(value) {
 				if (object[prop] !== value) {
-					ui.shouldReDraw = true;
+					ui.markDirty(object);
 				}
 
 				object[proxyKey] = value;
@@ -30,31 +44,77 @@ var observeDirtyProperties = function(object, ui) {
 			},
 		});
 	});
+
+	ui.markDirty(object);
+};
+
+// Window events and the pointer event types they are mapped onto
+var pointerEventTypes = {
+	mousedown: 'pointerdown',
+	touchstart: 'pointerdown',
+	mouseup: 'pointerup',
+	touchend: 'pointerup',
+	touchcancel: 'pointerup',
+	mousemove: 'pointermove',
+	touchmove: 'pointermove',
 };
 
+// Browsers emulate mouse events shortly after a touch, mouse events within this many milliseconds after a touch are ignored
+var emulatedMouseEventWindow = 1000;
+
 /**
  * ThreeUI
  *
  * UI Class that renders an internal 2d canvas onto a plane
  *
  * @param {HTMLCanvasElement} gameCanvas
- * @param {int} height The pixel height of this UI -- Default: 720
+ * @param {int} height The pixel height of this UI, or the design height when using another scale mode -- Default: 720
  * @param {bool} renderOnQuad Render on a quad, if false, canvas will be in DOM
  */
 
 var ThreeUI = function(gameCanvas, height, renderOnQuad) {
 	this.displayObjects = [];
+	this.tweens = [];
 	this.eventListeners = {
 		click: [],
+		pointerdown: [],
+		pointerup: [],
+		pointermove: [],
+		pointerenter: [],
+		pointerleave: [],
 	};
 
+	// Last known pointer position in UI space, null when there is no pointer (i.e. after a touch ended)
+	this.pointer = null;
+	this.hoveredObjects = [];
+	this.lastTouchTime = 0; // See pointerHandler
+
 	this.clearRect = null;
 	this.gameCanvas = gameCanvas;
 	this.canvas = document.createElement('canvas');
-	this.height = height || 720;
+	this.scaleMode = scaleModes.fixedHeight;
+	this.designWidth = null;
+	this.designHeight = height || 720;
 	this.context = this.canvas.getContext('2d');
 	this.renderOnQuad = renderOnQuad || false;
-	this.shouldReDraw = true;
+	this.shouldReDraw = true; // Redraw the whole UI on the next draw
+
+	// Only redraw the parts of the canvas where DisplayObjects changed, see draw
+	this.partialRedraw = false;
+	this.dirtyObjects = [];
+	this.drawnObjects = null; // DisplayObjects drawn by the previous draw, null when they weren't tracked
+	this.textureUpdateRegion = null; // Part of the canvas that still has to be uploaded to the texture, in canvas pixels
+
+	// Pixels of the internal canvas per UI pixel, see setAutoResolution
+	this.resolution = 1;
+	this.autoResolution = false;
+	this.maxResolution = null;
+	this.pixelSnapping = false;
+
+	// Safe area insets in UI pixels, read from the CSS env(safe-area-inset-*) values unless set with setSafeAreaInsets
+	this.safeAreaInsets = { top: 0, right: 0, bottom: 0, left: 0 };
+	this.customSafeAreaInsets = null;
+	this.safeAreaProbe = null;
 
 	if (this.renderOnQuad) {
 		this.prepareThreeJSScene();
@@ -64,15 +124,35 @@ var ThreeUI = function(gameCanvas, height, renderOnQuad) {
 
 	this.resize();
 
-	// Event listening
+	// Event listening, the bound listeners are kept so they can be detached by dispose
+	this.windowListeners = [];
 
-	window.addEventListener('touchend', this.clickHandler.bind(this));
+	this.addWindowListener('touchend', this.clickHandler);
 
 	if (isFirefox) {
 		// Firefox blocks window.open from mousedown events, so bind click instead
-		window.addEventListener('click', this.clickHandler.bind(this));
+		this.addWindowListener('click', this.clickHandler);
+	} else {
+		this.addWindowListener('mousedown', this.clickHandler);
+	}
+
+	Object.keys(pointerEventTypes).forEach(function(type) {
+		this.addWindowListener(type, this.pointerHandler);
+	}, this);
+
+	// Resize along with the game canvas
+	this.resizeObserver = null;
+	this.resizeTimeout = null;
+
+	if (typeof ResizeObserver !== 'undefined') {
+		this.resizeObserver = new ResizeObserver(this.resizeHandler.bind(this));
+		this.resizeObserver.observe(this.gameCanvas);
 	} else {
-		window.addEventListener('mousedown', this.clickHandler.bind(this));
+		this.addWindowListener('resize', function() {
+			// Give the game's own resize listeners the chance to resize the game canvas first
+			clearTimeout(this.resizeTimeout);
+			this.resizeTimeout = setTimeout(this.resizeHandler.bind(this), 0);
+		});
 	}
 };
 
@@ -82,6 +162,36 @@ var ThreeUI = function(gameCanvas, height, renderOnQuad) {
 
 ThreeUI.anchors = anchors;
 
+/**
+ * Attach easing functions to ThreeUI
+ */
+
+ThreeUI.easing = easing;
+
+/**
+ * Attach gradient fills to ThreeUI
+ */
+
+ThreeUI.gradients = gradients;
+
+/**
+ * Attach hit area shapes to ThreeUI
+ */
+
+ThreeUI.hitAreas = hitAreas;
+
+/**
+ * Attach scale modes to ThreeUI
+ */
+
+ThreeUI.scaleModes = scaleModes;
+
+/**
+ * Attach InteractionEvent to ThreeUI
+ */
+
+ThreeUI.InteractionEvent = InteractionEvent;
+
 ThreeUI.prototype.addCanvasToDom = function() {
 	this.gameCanvas.parentNode.appendChild(this.canvas);
 
@@ -98,6 +208,23 @@ ThreeUI.prototype.addCanvasToDom = function() {
 	this.canvas.style.perspective = '1000px'; // Hardware acceleration!
 };
 
+/**
+ * Used internally to bind a listener to the window, which is detached again on dispose
+ *
+ * @param {string} type
+ * @param {Function} listener Called with this ThreeUI as context
+ */
+
+ThreeUI.prototype.addWindowListener = function(type, listener) {
+	var boundListener = listener.bind(this);
+	window.addEventListener(type, boundListener);
+
+	this.windowListeners.push({
+		type: type,
+		listener: boundListener
+	});
+};
+
 /**
  * Internal method that does all preparations related to ThreeJS, creating the scene, camera, geometry etc.
  */
@@ -115,6 +242,10 @@ ThreeUI.prototype.prepareThreeJSScene = function() {
 
 	this.texture = new THREE.Texture(this.canvas);
 
+	// The UI is drawn at its own size, so it doesn't need mipmaps, without them parts of the texture can be updated on their own
+	this.texture.generateMipmaps = false;
+	this.texture.minFilter = THREE.LinearFilter;
+
 	var material = new THREE.MeshBasicMaterial({ map: this.texture });
 	material.transparent = true;
 
@@ -126,73 +257,753 @@ ThreeUI.prototype.prepareThreeJSScene = function() {
 };
 
 /**
- * Recalculate UI dimensions
+ * Dispose of this UI, destroys all DisplayObjects, detaches all window listeners
+ * and removes the canvas from the DOM or frees the Three.js resources used to render on a quad
+ * The UI can't be used anymore afterwards
+ */
+
+ThreeUI.prototype.dispose = function() {
+	this.displayObjects.slice().forEach(function(displayObject) {
+		if (!displayObject.destroyed) {
+			displayObject.destroy();
+		}
+	});
+
+	this.windowListeners.forEach(function(windowListener) {
+		window.removeEventListener(windowListener.type, windowListener.listener);
+	});
+	this.windowListeners = [];
+
+	if (this.resizeObserver) {
+		this.resizeObserver.disconnect();
+		this.resizeObserver = null;
+	}
+
+	clearTimeout(this.resizeTimeout);
+
+	if (this.safeAreaProbe && this.safeAreaProbe.parentNode) {
+		this.safeAreaProbe.parentNode.removeChild(this.safeAreaProbe);
+	}
+	this.safeAreaProbe = null;
+
+	if (this.renderOnQuad) {
+		this.scene.remove(this.plane);
+		this.plane.geometry.dispose();
+		this.plane.material.dispose();
+		this.texture.dispose();
+
+		this.plane = null;
+		this.texture = null;
+		this.scene = null;
+		this.camera = null;
+	} else if (this.canvas.parentNode) {
+		this.canvas.parentNode.removeChild(this.canvas);
+	}
+
+	this.pointer = null;
+	this.hoveredObjects = [];
+	this.disposed = true;
+};
+
+/**
+ * Change how the UI dimensions are derived from the game canvas, see ThreeUI.scaleModes
+ *
+ * @param {string} scaleMode
+ * @param {int} designWidth Required for all scale modes but fixedHeight
+ * @param {int} designHeight -- Default: the current design height
+ */
+
+ThreeUI.prototype.setScaleMode = function(scaleMode, designWidth, designHeight) {
+	if (Object.keys(scaleModes).indexOf(scaleMode) === -1) {
+		throw new Error('Unknown scale mode "' + scaleMode + '", use one of ThreeUI.scaleModes');
+	}
+
+	this.scaleMode = scaleMode;
+	this.designWidth = typeof designWidth !== 'undefined' ? designWidth : this.designWidth;
+	this.designHeight = typeof designHeight !== 'undefined' ? designHeight : this.designHeight;
+
+	this.resize();
+};
+
+/**
+ * Recalculate UI dimensions and re-evaluate the breakpoints of all DisplayObjects
  */
 
 ThreeUI.prototype.resize = function() {
 	var gameCanvasAspect = this.gameCanvas.width / this.gameCanvas.height;
-	this.width = this.height * gameCanvasAspect;
+	var scaleMode = this.scaleMode;
+
+	if (scaleMode !== scaleModes.fixedHeight && !this.designWidth) {
+		throw new Error('Scale mode "' + scaleMode + '" needs a design width, see ThreeUI.setScaleMode');
+	}
+
+	if (scaleMode === scaleModes.fit || scaleMode === scaleModes.fill) {
+		// Fit keeps the axis along which the game canvas is relatively smallest, fill the other one
+		var isWider = gameCanvasAspect > this.designWidth / this.designHeight;
+		scaleMode = isWider === (scaleMode === scaleModes.fit) ? scaleModes.fixedHeight : scaleModes.fixedWidth;
+	}
+
+	if (scaleMode === scaleModes.fixedWidth) {
+		this.width = this.designWidth;
+		this.height = this.width / gameCanvasAspect;
+	} else {
+		this.height = this.designHeight;
+		this.width = this.height * gameCanvasAspect;
+	}
+
+	var previousSize = this.canvas.width + 'x' + this.canvas.height;
+	this.resolution = this.autoResolution ? this.getDeviceResolution() : 1;
+
+	this.canvas.width = Math.round(this.width * this.resolution);
+	this.canvas.height = Math.round(this.height * this.resolution);
 
-	this.canvas.width = this.width
-	this.canvas.height = this.height;
+	// Resizing the canvas resets its context, draw in UI pixels regardless of the resolution
+	this.context.setTransform(this.resolution, 0, 0, this.resolution, 0, 0);
+
+	// Textures can't change size once uploaded, so it's uploaded anew on the next render
+	if (this.renderOnQuad && this.canvas.width + 'x' + this.canvas.height !== previousSize) {
+		this.texture.dispose();
+	}
 
 	var containerWidth = this.gameCanvas.parentNode.getBoundingClientRect().width;
 
+	this.canvas.style.width = this.width + 'px';
+	this.canvas.style.height = this.height + 'px';
 	this.canvas.style.transform = 'scale(' + (containerWidth / this.width) + ')';
 
-	this.shouldReDraw = true;
+	this.updateSafeAreaInsets();
+
+	this.displayObjects.forEach(function(displayObject) {
+		displayObject.applyBreakpoints();
+	});
+
+	this.shouldReDraw = true;
+};
+
+/**
+ * Let the resolution of the internal canvas follow the number of device pixels the UI covers, for sharp rendering on high-DPI screens
+ * Positions and sizes stay in UI pixels
+ *
+ * @param {bool} enabled
+ * @param {float} maxResolution Maximum number of canvas pixels per UI pixel, to limit memory use and upload time -- Default: no limit
+ */
+
+ThreeUI.prototype.setAutoResolution = function(enabled, maxResolution) {
+	this.autoResolution = enabled;
+	this.maxResolution = typeof maxResolution !== 'undefined' ? maxResolution : null;
+
+	this.resize();
+};
+
+/**
+ * Round positions and sizes to whole UI pixels when drawing and use a whole number of canvas pixels per UI pixel, for pixel art
+ * Combine with smoothing = false on DisplayObjects to keep pixels sharp
+ *
+ * @param {bool} enabled
+ */
+
+ThreeUI.prototype.setPixelSnapping = function(enabled) {
+	this.pixelSnapping = enabled;
+
+	this.resize();
+};
+
+/**
+ * Get the number of device pixels per UI pixel, taking maxResolution and pixelSnapping into account
+ * Used internally by ThreeUI.resize when autoResolution is enabled
+ *
+ * @return {float}
+ */
+
+ThreeUI.prototype.getDeviceResolution = function() {
+	var bounds = this.gameCanvas.getBoundingClientRect();
+	var resolution = bounds.height * (window.devicePixelRatio || 1) / this.height;
+
+	if (this.maxResolution) {
+		resolution = Math.min(resolution, this.maxResolution);
+	}
+
+	if (this.pixelSnapping) {
+		resolution = Math.max(1, Math.floor(resolution));
+	}
+
+	// A hidden game canvas has no size
+	return resolution || 1;
+};
+
+/**
+ * Called whenever the game canvas is resized, the UI follows automatically
+ * Internal use only
+ */
+
+ThreeUI.prototype.resizeHandler = function() {
+	this.resizeTimeout = null;
+
+	// A hidden game canvas has no size to derive the UI dimensions from
+	if (this.disposed || !this.gameCanvas.width || !this.gameCanvas.height) return;
+
+	this.resize();
+};
+
+/**
+ * Set the safe area insets manually, i.e. to test a layout for phones with a notch on desktop
+ *
+ * @param {Object} insets {top, right, bottom, left} in UI pixels, null to read them from the CSS env(safe-area-inset-*) values again
+ */
+
+ThreeUI.prototype.setSafeAreaInsets = function(insets) {
+	this.customSafeAreaInsets = insets;
+	this.updateSafeAreaInsets();
+};
+
+/**
+ * Update safeAreaInsets, from the custom insets or the part of the CSS env(safe-area-inset-*) values that covers the game canvas
+ * The page needs viewport-fit=cover in its viewport meta tag for browsers to report these values
+ * Called by ThreeUI.resize
+ */
+
+ThreeUI.prototype.updateSafeAreaInsets = function() {
+	var insets = { top: 0, right: 0, bottom: 0, left: 0 };
+
+	if (this.customSafeAreaInsets) {
+		Object.keys(insets).forEach(function(side) {
+			insets[side] = this.customSafeAreaInsets[side] || 0;
+		}, this);
+	} else if (typeof window.getComputedStyle === 'function' && document.body) {
+		if (!this.safeAreaProbe) {
+			// Computed padding is the only way to read env() values from script
+			this.safeAreaProbe = document.createElement('div');
+			this.safeAreaProbe.style.cssText = 'position: fixed; visibility: hidden; pointer-events: none; ' +
+				'padding: env(safe-area-inset-top) env(safe-area-inset-right) env(safe-area-inset-bottom) env(safe-area-inset-left);';
+			document.body.appendChild(this.safeAreaProbe);
+		}
+
+		var style = window.getComputedStyle(this.safeAreaProbe);
+		var bounds = this.gameCanvas.getBoundingClientRect();
+		var scale = this.height / bounds.height;
+
+		// Only the part of the insets that overlaps the game canvas
+		var overlap = {
+			top: parseFloat(style.paddingTop) - bounds.top,
+			right: parseFloat(style.paddingRight) - (window.innerWidth - bounds.right),
+			bottom: parseFloat(style.paddingBottom) - (window.innerHeight - bounds.bottom),
+			left: parseFloat(style.paddingLeft) - bounds.left
+		};
+
+		Object.keys(insets).forEach(function(side) {
+			insets[side] = Math.max(0, overlap[side] * scale) || 0;
+		});
+	}
+
+	var changed = Object.keys(insets).some(function(side) {
+		return insets[side] !== this.safeAreaInsets[side];
+	}, this);
+
+	if (changed) {
+		this.safeAreaInsets = insets;
+		this.shouldReDraw = true;
+	}
+};
+
+/**
+ * Get the part of the UI that isn't covered by notches, rounded corners or system bars
+ *
+ * @return {Object} bounds {x, y, width, height} in UI space
+ */
+
+ThreeUI.prototype.getSafeArea = function() {
+	var insets = this.safeAreaInsets;
+
+	return {
+		x: insets.left,
+		y: insets.top,
+		width: Math.max(0, this.width - insets.left - insets.right),
+		height: Math.max(0, this.height - insets.top - insets.bottom)
+	};
+};
+
+/**
+ * Check whether the current UI dimensions match the conditions of a breakpoint, all given conditions have to match
+ *
+ * @param {Object} conditions
+ * @param {string} conditions.orientation 'portrait' or 'landscape', a square UI counts as landscape
+ * @param {float} conditions.minAspect Minimum aspect ratio (width / height) of the UI, inclusive
+ * @param {float} conditions.maxAspect Maximum aspect ratio, inclusive
+ * @param {int} conditions.minWidth Minimum width of the UI in UI pixels, inclusive
+ * @param {int} conditions.maxWidth Maximum width of the UI, inclusive
+ * @param {int} conditions.minHeight Minimum height of the UI in UI pixels, inclusive
+ * @param {int} conditions.maxHeight Maximum height of the UI, inclusive
+ * @return {bool}
+ */
+
+ThreeUI.prototype.matchesBreakpoint = function(conditions) {
+	var width = this.width;
+	var height = this.height;
+	var aspect = width / height;
+
+	var tests = {
+		orientation: function(orientation) { return orientation === (aspect >= 1 ? 'landscape' : 'portrait'); },
+		minAspect: function(minAspect) { return aspect >= minAspect; },
+		maxAspect: function(maxAspect) { return aspect <= maxAspect; },
+		minWidth: function(minWidth) { return width >= minWidth; },
+		maxWidth: function(maxWidth) { return width <= maxWidth; },
+		minHeight: function(minHeight) { return height >= minHeight; },
+		maxHeight: function(maxHeight) { return height <= maxHeight; }
+	};
+
+	return Object.keys(conditions).every(function(key) {
+		if (!tests.hasOwnProperty(key)) {
+			throw new Error('Unknown breakpoint condition "' + key + '"');
+		}
+
+		return tests[key](conditions[key]);
+	});
+};
+
+/**
+ * Advance everything that animates over time, call this once per frame before render
+ *
+ * @param {int} deltaTime Time since the previous update in milliseconds
+ */
+
+ThreeUI.prototype.update = function(deltaTime) {
+	this.tweens.slice().forEach(function(tween) {
+		tween.update(deltaTime);
+	});
+
+	this.tweens = this.tweens.filter(function(tween) {
+		return !tween.finished;
+	});
+
+	this.displayObjects.slice().forEach(function(displayObject) {
+		if (typeof displayObject.update === 'function') {
+			displayObject.update(deltaTime);
+		}
+	});
+};
+
+/**
+ * Flag a DisplayObject as changed, so the part of the canvas it covers is redrawn on the next draw
+ * Anything else that changed, like an object that's being tweened, flags the whole UI for a redraw
+ *
+ * @param {Object} object
+ */
+
+ThreeUI.prototype.markDirty = function(object) {
+	if (object && object.ui === this) {
+		if (this.dirtyObjects.indexOf(object) === -1) {
+			this.dirtyObjects.push(object);
+		}
+	} else {
+		this.shouldReDraw = true;
+	}
+};
+
+/**
+ * Draw the UI
+ * With partialRedraw enabled, only the parts of the canvas covered by changed DisplayObjects are cleared and redrawn,
+ * unless the whole UI is flagged with shouldReDraw or the changes cover most of the canvas
+ */
+
+ThreeUI.prototype.draw = function() {
+	if (!this.shouldReDraw && this.dirtyObjects.length === 0) return;
+
+	this.updateLayout();
+
+	// Objects might have moved under a stationary pointer
+	this.updateHoverState();
+
+	var displayObjects = this.getDisplayObjectsInDrawOrder();
+	var drawBounds = null;
+	var dirtyRegions = null;
+
+	if (this.partialRedraw) {
+		drawBounds = displayObjects.map(this.getDrawBounds, this);
+
+		if (!this.shouldReDraw && this.drawnObjects) {
+			dirtyRegions = this.getDirtyRegions(displayObjects, drawBounds);
+		}
+
+		// Remember what was drawn where, to know which parts of the canvas to redraw next time
+		(this.drawnObjects || []).forEach(function(displayObject) {
+			displayObject.drawnBounds = null;
+		});
+		displayObjects.forEach(function(displayObject, idx) {
+			displayObject.drawnBounds = drawBounds[idx];
+		});
+		this.drawnObjects = displayObjects;
+	} else {
+		this.drawnObjects = null;
+	}
+
+	// Redrawing everything at once is cheaper than redrawing most of the canvas in parts
+	var dirtyArea = (dirtyRegions || []).reduce(function(area, region) {
+		return area + region.width * region.height;
+	}, 0);
+
+	if (dirtyRegions && dirtyArea < this.width * this.height / 2) {
+		this.drawRegions(displayObjects, drawBounds, dirtyRegions);
+	} else {
+		// Reset canvas
+		if (this.clearRect) {
+			this.context.clearRect(this.clearRect.x, this.clearRect.y, this.clearRect.width, this.clearRect.height);
+		} else {
+			this.context.clearRect(0, 0, this.width, this.height);
+		}
+
+		var length = displayObjects.length;
+		for (var i = 0;i < length;i++) {
+			displayObjects[i].render(this.context);
+		}
+
+		// Make sure the texture gets re-drawn
+		if (this.renderOnQuad) {
+			this.texture.needsUpdate = true;
+			this.textureUpdateRegion = null;
+		}
+	}
+
+	this.shouldReDraw = false;
+	this.dirtyObjects = [];
+};
+
+/**
+ * Get the part of the canvas a DisplayObject draws on, its bounds including anything drawn outside of them like shadows
+ * Used internally by draw
+ *
+ * @param {ThreeUI.DisplayObject} displayObject
+ * @return {Object} bounds {x, y, width, height}
+ */
+
+ThreeUI.prototype.getDrawBounds = function(displayObject) {
+	var aabb = displayObject.getBounds().aabb;
+
+	// Leave room for anti-aliasing and rounding
+	var margin = displayObject.getDrawMargin() + 2;
+
+	return {
+		x: aabb.x - margin,
+		y: aabb.y - margin,
+		width: aabb.width + margin * 2,
+		height: aabb.height + margin * 2
+	};
+};
+
+/**
+ * Get the parts of the canvas that changed since the previous draw: where DisplayObjects were and are now drawn,
+ * for those that moved, changed size, appeared or disappeared, and for the ones flagged by markDirty along with their children
+ * Used internally by draw
+ *
+ * @param {ThreeUI.DisplayObject[]} displayObjects In draw order
+ * @param {Object[]} drawBounds As returned by getDrawBounds, for every DisplayObject
+ * @return {Object[]} regions {x, y, width, height} that don't overlap, in UI space
+ */
+
+ThreeUI.prototype.getDirtyRegions = function(displayObjects, drawBounds) {
+	var dirtyObjects = [];
+	var addDirtyObject = function(displayObject) {
+		if (dirtyObjects.indexOf(displayObject) > -1) return;
+
+		// Children take over the alpha, visibility and transform of their parent
+		dirtyObjects.push(displayObject);
+		displayObject.children.forEach(addDirtyObject);
+	};
+	this.dirtyObjects.forEach(addDirtyObject);
+
+	var dirtyBounds = [];
+
+	// Clear DisplayObjects that aren't drawn anymore
+	this.drawnObjects.forEach(function(displayObject) {
+		if (displayObjects.indexOf(displayObject) === -1) {
+			dirtyBounds.push(displayObject.drawnBounds);
+		}
+	});
+
+	displayObjects.forEach(function(displayObject, idx) {
+		var previous = displayObject.drawnBounds;
+		var current = drawBounds[idx];
+
+		if (!previous) {
+			dirtyBounds.push(current);
+		} else if (dirtyObjects.indexOf(displayObject) > -1 || previous.x !== current.x || previous.y !== current.y ||
+			previous.width !== current.width || previous.height !== current.height) {
+			dirtyBounds.push(previous, current);
+		}
+	});
+
+	// Whole canvas pixels, so redrawn parts line up exactly with the rest
+	var resolution = this.resolution;
+	var width = this.width;
+	var height = this.height;
+
+	return regions.merge(dirtyBounds.map(function(bounds) {
+		return regions.snap(bounds, resolution, width, height);
+	}).filter(function(region) {
+		return region !== null;
+	}));
+};
+
+/**
+ * Clear and redraw the given parts of the canvas, only DisplayObjects that overlap a part are redrawn
+ * Used internally by draw
+ *
+ * @param {ThreeUI.DisplayObject[]} displayObjects In draw order
+ * @param {Object[]} drawBounds As returned by getDrawBounds, for every DisplayObject
+ * @param {Object[]} dirtyRegions As returned by getDirtyRegions
+ */
+
+ThreeUI.prototype.drawRegions = function(displayObjects, drawBounds, dirtyRegions) {
+	var context = this.context;
+
+	dirtyRegions.forEach(function(region) {
+		context.save();
+
+		context.beginPath();
+		context.rect(region.x, region.y, region.width, region.height);
+		context.clip();
+		context.clearRect(region.x, region.y, region.width, region.height);
+
+		displayObjects.forEach(function(displayObject, idx) {
+			if (regions.intersects(drawBounds[idx], region)) {
+				displayObject.render(context);
+			}
+		});
+
+		context.restore();
+
+		if (this.renderOnQuad) {
+			var canvasRegion = {
+				x: Math.round(region.x * this.resolution),
+				y: Math.round(region.y * this.resolution),
+				width: Math.round(region.width * this.resolution),
+				height: Math.round(region.height * this.resolution)
+			};
+
+			this.textureUpdateRegion = this.textureUpdateRegion ? regions.union(this.textureUpdateRegion, canvasRegion) : canvasRegion;
+		}
+	}, this);
+};
+
+/**
+ * Upload the part of the canvas that changed since the previous render to the texture
+ * Falls back to uploading the whole canvas when the texture can't be updated in part
+ * Partial uploads use the internal texture properties of the three.js renderer (__webglTexture and __version),
+ * they're tested with r87, with other versions that don't have them the whole canvas is uploaded instead
+ * Used internally by render
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ */
+
+ThreeUI.prototype.updateTextureRegion = function(renderer) {
+	var region = this.textureUpdateRegion;
+	if (!region) return;
+
+	this.textureUpdateRegion = null;
+
+	var texture = this.texture;
+	var textureProperties = renderer.properties && renderer.properties.get(texture);
+	var webglTexture = textureProperties && textureProperties.__webglTexture;
+	var isUploaded = webglTexture && typeof textureProperties.__version === 'number';
+
+	// The whole canvas is uploaded already
+	if (isUploaded && textureProperties.__version !== texture.version) return;
+
+	// Textures that were never uploaded, have mipmaps or were resized to a power of two during upload can only be updated entirely
+	var canUpdatePart = isUploaded && renderer.state && typeof renderer.state.bindTexture === 'function' &&
+		(texture.minFilter === THREE.LinearFilter || texture.minFilter === THREE.NearestFilter) &&
+		texture.wrapS === THREE.ClampToEdgeWrapping && texture.wrapT === THREE.ClampToEdgeWrapping &&
+		Math.max(this.canvas.width, this.canvas.height) <= renderer.capabilities.maxTextureSize;
+
+	if (!canUpdatePart) {
+		texture.needsUpdate = true;
+		return;
+	}
+
+	var gl = renderer.getContext();
+	var imageData = this.context.getImageData(region.x, region.y, region.width, region.height);
+
+	// three.js only sets the unpack parameters when it uploads a texture itself, so they're put back afterwards
+	var unpackParameters = [
+		[gl.UNPACK_FLIP_Y_WEBGL, texture.flipY],
+		[gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, texture.premultiplyAlpha],
+		[gl.UNPACK_ALIGNMENT, texture.unpackAlignment]
+	].map(function(parameter) {
+		return [parameter[0], parameter[1], gl.getParameter(parameter[0])];
+	});
+
+	renderer.state.bindTexture(gl.TEXTURE_2D, webglTexture);
+	unpackParameters.forEach(function(parameter) {
+		gl.pixelStorei(parameter[0], parameter[1]);
+	});
+
+	// With flipY the rows of the texture start at the bottom of the canvas
+	var y = texture.flipY ? this.canvas.height - region.y - region.height : region.y;
+	gl.texSubImage2D(gl.TEXTURE_2D, 0, region.x, y, gl.RGBA, gl.UNSIGNED_BYTE, imageData);
+
+	unpackParameters.forEach(function(parameter) {
+		gl.pixelStorei(parameter[0], parameter[2]);
+	});
+};
+
+/**
+ * Render the UI with the provided renderer
+ *
+ * @param {THREE.WebGLRenderer} renderer
+ */
+
+ThreeUI.prototype.render = function(renderer) {
+	this.draw();
+
+	if (this.renderOnQuad) {
+		this.updateTextureRegion(renderer);
+		renderer.render(this.scene, this.camera);
+	}
+
+	if (this.colorReplace) {
+		this.context.save();
+
+		this.context.fillStyle = this.colorReplace
+		this.context.globalCompositeOperation = 'source-atop';
+		this.context.fillRect(0, 0, this.width, this.height);
+
+		this.context.restore();
+	}
+};
+
+/**
+ * Get all visible DisplayObjects in the order they are drawn
+ * The tree is walked depth-first, so children are always drawn above their parent
+ *
+ * @return {ThreeUI.DisplayObject[]}
+ */
+
+ThreeUI.prototype.getDisplayObjectsInDrawOrder = function() {
+	var drawOrder = [];
+
+	var addToDrawOrder = function(displayObject) {
+		if (!displayObject.visible) return;
+
+		drawOrder.push(displayObject);
+		displayObject.children.forEach(addToDrawOrder);
+	};
+
+	this.displayObjects.forEach(function(displayObject) {
+		if (typeof displayObject.parent === 'undefined') {
+			addToDrawOrder(displayObject);
+		}
+	});
+
+	return drawOrder;
 };
 
 /**
- * Draw the UI
+ * Position and size the children of all visible layout containers
+ * Done automatically before drawing, call it to get up to date bounds of laid out DisplayObjects right away
  */
 
-ThreeUI.prototype.draw = function() {
-	if (!this.shouldReDraw) return;
+ThreeUI.prototype.updateLayout = function() {
+	var layouts = this.getDisplayObjectsInDrawOrder().filter(function(displayObject) {
+		return typeof displayObject.arrangeChildren === 'function';
+	});
 
-	// Reset canvas
-	if (this.clearRect) {
-		this.context.clearRect(this.clearRect.x, this.clearRect.y, this.clearRect.width, this.clearRect.height);
-	} else {
-		this.context.clearRect(0, 0, this.canvas.width, this.canvas.height);
+	// Measure from the inside out, so layouts that fit their content know the size of the layouts within them
+	for (var i = layouts.length - 1;i >= 0;i--) {
+		layouts[i].measureContent();
 	}
 
-	var self = this;
-	var length = this.displayObjects.length;
-	for (var i = 0;i < length;i++) {
-		this.displayObjects[i].render(self.context);
-	}
+	// Arrange from the outside in, so layouts within other layouts are arranged within their final bounds
+	layouts.forEach(function(layout) {
+		layout.arrangeChildren();
+	});
+};
 
-	// Make sure the texture gets re-drawn
-	if (this.renderOnQuad) {
-		this.texture.needsUpdate = true;
-	}
+/**
+ * Create a new Container
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the Container stretches to fill its parent
+ * @param {int} height
+ *
+ * @return {Container}
+ */
 
-	this.shouldReDraw = false;
+ThreeUI.prototype.createContainer = function(x, y, width, height) {
+	var displayObject = new Container(this, x, y, width, height);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
 };
 
 /**
- * Render the UI with the provided renderer
+ * Create a new FlexBox, that places its children in a row or column
  *
- * @param {THREE.WebGLRenderer} renderer
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the FlexBox is sized to fit its children
+ * @param {int} height
+ *
+ * @return {FlexBox}
  */
 
-ThreeUI.prototype.render = function(renderer) {
-	this.draw();
+ThreeUI.prototype.createFlexBox = function(x, y, width, height) {
+	var displayObject = new FlexBox(this, x, y, width, height);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
+};
 
-	if (this.renderOnQuad) {
-		renderer.render(this.scene, this.camera);
-	}
+/**
+ * Create a new FlexBox that places its children in a row
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the HBox is sized to fit its children
+ * @param {int} height
+ *
+ * @return {FlexBox}
+ */
 
-	if (this.colorReplace) {
-		this.context.save();
+ThreeUI.prototype.createHBox = function(x, y, width, height) {
+	var displayObject = this.createFlexBox(x, y, width, height);
+	displayObject.direction = 'row';
+	return displayObject;
+};
 
-		this.context.fillStyle = this.colorReplace
-		this.context.globalCompositeOperation = 'source-atop';
-		this.context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+/**
+ * Create a new FlexBox that places its children in a column
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the VBox is sized to fit its children
+ * @param {int} height
+ *
+ * @return {FlexBox}
+ */
 
-		this.context.restore();
-	}
+ThreeUI.prototype.createVBox = function(x, y, width, height) {
+	var displayObject = this.createFlexBox(x, y, width, height);
+	displayObject.direction = 'column';
+	return displayObject;
+};
+
+/**
+ * Create a new Grid, that places its children in cells of equal size
+ *
+ * @param {int} columns
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width When both width and height are omitted, the Grid is sized to fit its children
+ * @param {int} height
+ *
+ * @return {Grid}
+ */
+
+ThreeUI.prototype.createGrid = function(columns, x, y, width, height) {
+	var displayObject = new Grid(this, columns, x, y, width, height);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
 };
 
 /**
@@ -235,6 +1046,69 @@ ThreeUI.prototype.createSpriteFromSheet = function(imagePath, sheetImagePath, sh
 	return displayObject;
 };
 
+/**
+ * Create a new NineSliceSprite
+ *
+ * @param {string} imagePath
+ * @param {Object|int} insets {left, top, right, bottom}, or one inset for all sides
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ *
+ * @return {NineSliceSprite}
+ */
+
+ThreeUI.prototype.createNineSliceSprite = function(imagePath, insets, x, y, width, height) {
+	var displayObject = new NineSliceSprite(this, imagePath, insets, x, y, width, height);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
+};
+
+/**
+ * Create a new NineSliceSprite from a sheet
+ *
+ * @param {string} imagePath
+ * @param {string} sheetImagePath
+ * @param {string} sheetDataPath
+ * @param {Object|int} insets {left, top, right, bottom}, or one inset for all sides
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ *
+ * @return {NineSliceSprite}
+ */
+
+ThreeUI.prototype.createNineSliceSpriteFromSheet = function(imagePath, sheetImagePath, sheetDataPath, insets, x, y, width, height) {
+	var displayObject = new NineSliceSprite(this, imagePath, insets, x, y, width, height, sheetImagePath, sheetDataPath);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
+};
+
+/**
+ * Create a new AnimatedSprite from a sheet
+ *
+ * @param {string[]|string} frames List of frame names, or a prefix of the frame names in the sheet
+ * @param {string} sheetImagePath
+ * @param {string} sheetDataPath
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ *
+ * @return {AnimatedSprite}
+ */
+
+ThreeUI.prototype.createAnimatedSprite = function(frames, sheetImagePath, sheetDataPath, x, y, width, height) {
+	var displayObject = new AnimatedSprite(this, frames, sheetImagePath, sheetDataPath, x, y, width, height);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
+};
+
 /**
  * Create a new Rectangle
  *
@@ -254,10 +1128,27 @@ ThreeUI.prototype.createRectangle = function(color, x, y, width, height) {
 	return displayObject;
 };
 
+/**
+ * Create a new Graphics, to draw shapes with
+ *
+ * @param {int} x
+ * @param {int} y
+ *
+ * @return {Graphics}
+ */
+
+ThreeUI.prototype.createGraphics = function(x, y) {
+	var displayObject = new Graphics(this, x, y);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
+};
+
 /**
  * Create a new Text
  *
  * @param {string} text
+ * @param {int} size
  * @param {string} font
  * @param {string} color
  * @param {int} x
@@ -266,38 +1157,89 @@ ThreeUI.prototype.createRectangle = function(color, x, y, width, height) {
  * @return {Text}
  */
 
-ThreeUI.prototype.createText = function(text, font, color, x, y) {
-	var displayObject = new Text(this, text, font, color, x, y);
+ThreeUI.prototype.createText = function(text, size, font, color, x, y) {
+	var displayObject = new Text(this, text, size, font, color, x, y);
 	this.displayObjects.push(displayObject);
 	observeDirtyProperties(displayObject, this);
 	return displayObject;
 };
 
 /**
- * Create a new BitmapText
+ * Create a new RichText, text with [color], [b], [i], [size] and [img] markup
  *
  * @param {string} text
+ * @param {int} size
  * @param {string} font
  * @param {string} color
  * @param {int} x
  * @param {int} y
  *
+ * @return {RichText}
+ */
+
+ThreeUI.prototype.createRichText = function(text, size, font, color, x, y) {
+	var displayObject = new RichText(this, text, size, font, color, x, y);
+	this.displayObjects.push(displayObject);
+	observeDirtyProperties(displayObject, this);
+	return displayObject;
+};
+
+/**
+ * Create a new BitmapText
+ *
+ * @param {string} text
+ * @param {float} fontScale
+ * @param {int} x
+ * @param {int} y
+ * @param {string} sheetImagePath
+ * @param {string} sheetDataPath
+ *
  * @return {BitmapText}
  */
 
-ThreeUI.prototype.createBitmapText = function(text, size, x, y, sheetImagePath, sheetDataPath) {
-	var displayObject = new BitmapText(this, text, size, x, y, sheetImagePath, sheetDataPath);
+ThreeUI.prototype.createBitmapText = function(text, fontScale, x, y, sheetImagePath, sheetDataPath) {
+	var displayObject = new BitmapText(this, text, fontScale, x, y, sheetImagePath, sheetDataPath);
 	this.displayObjects.push(displayObject);
 	observeDirtyProperties(displayObject, this);
 	return displayObject;
 };
 
+/**
+ * Tween properties of an object (usually a DisplayObject) to the given values, driven by ThreeUI.update
+ *
+ * @param {Object} target
+ * @param {Object} properties The values to tween to, i.e. { x: 100, alpha: 0, scale: { x: 2, y: 2 } }
+ * @param {int} duration In milliseconds
+ * @param {Function|string} easingFunction Function or name of a function in ThreeUI.easing -- Default: linear
+ *
+ * @return {Tween}
+ */
+
+ThreeUI.prototype.tween = function(target, properties, duration, easingFunction) {
+	return new Tween(this, target, properties, duration, easingFunction).start();
+};
+
+/**
+ * Stop all running tweens of the given target
+ *
+ * @param {Object} target
+ * @param {bool} jumpToEnd Set the target to the end values and complete the tweens
+ */
+
+ThreeUI.prototype.stopTweens = function(target, jumpToEnd) {
+	this.tweens.forEach(function(tween) {
+		if (tween.target === target) {
+			tween.stop(jumpToEnd);
+		}
+	});
+};
+
 /**
  * Add a new event listener, called by ThreeUI.DisplayObject
  * Shouldn't be used directly
  *
  * @param {string} type
- * @param {Function} callback This callback is called when the event is triggered, and is passed the DisplayObject as a first argument
+ * @param {Function} callback This callback is called when the event is triggered, and is passed the DisplayObject and an InteractionEvent
  * @param {ThreeUI.DisplayObject} displayObject
  */
 
@@ -308,6 +1250,47 @@ ThreeUI.prototype.addEventListener = function(type, callback, displayObject) {
 	});
 };
 
+/**
+ * Remove an event listener, called by ThreeUI.DisplayObject
+ * Shouldn't be used directly
+ *
+ * @param {string} type
+ * @param {Function} callback When omitted, all listeners of this type are removed from the DisplayObject
+ * @param {ThreeUI.DisplayObject} displayObject
+ */
+
+ThreeUI.prototype.removeEventListener = function(type, callback, displayObject) {
+	this.eventListeners[type] = this.eventListeners[type].filter(function(listener) {
+		return listener.displayObject !== displayObject || (typeof callback !== 'undefined' && listener.callback !== callback);
+	});
+};
+
+/**
+ * Remove a DisplayObject from this UI, along with all of its event listeners and tweens
+ * Use DisplayObject.destroy instead, which also takes care of its children
+ *
+ * @param {ThreeUI.DisplayObject} displayObject
+ */
+
+ThreeUI.prototype.removeDisplayObject = function(displayObject) {
+	var elIdx = this.displayObjects.indexOf(displayObject);
+	if (elIdx === -1) return;
+
+	this.displayObjects.splice(elIdx, 1);
+	this.stopTweens(displayObject);
+
+	Object.keys(this.eventListeners).forEach(function(type) {
+		this.removeEventListener(type, undefined, displayObject);
+	}, this);
+
+	var hoverIdx = this.hoveredObjects.indexOf(displayObject);
+	if (hoverIdx > -1) {
+		this.hoveredObjects.splice(hoverIdx, 1);
+	}
+
+	this.markDirty(displayObject);
+};
+
 /**
  * Used internally to determine which registered click event listeners should be called upon click
  *
@@ -336,23 +1319,160 @@ ThreeUI.prototype.clickHandler = function(event) {
 
 	coords = this.windowToUISpace(coords.x, coords.y);
 
-	var callbackQueue = [];
-	this.eventListeners.click.forEach(function(listener) {
-		var displayObject = listener.displayObject;
-		if (!displayObject.shouldReceiveEvents()) return;
+	this.dispatchEvent('click', this.getDisplayObjectAt(coords.x, coords.y), coords, event);
+};
+
+/**
+ * Used internally to translate window mouse and touch events into pointer events on DisplayObjects
+ *
+ * @param {MouseEvent|TouchEvent} event
+ */
+
+ThreeUI.prototype.pointerHandler = function(event) {
+	var type = pointerEventTypes[event.type];
+	var point;
+
+	if (typeof TouchEvent !== 'undefined' && event instanceof TouchEvent) {
+		// Browsers emulate mouse events after touches, ignore those to prevent double events
+		this.lastTouchTime = Date.now();
+
+		// The finger that was lifted is no longer in touches, but other fingers might still be down
+		var isLifted = event.type === 'touchend' || event.type === 'touchcancel';
+		var touch = isLifted ? event.changedTouches[0] : event.touches[0];
+		if (!touch) return;
+
+		point = { x: touch.pageX, y: touch.pageY };
+	} else if (Date.now() - this.lastTouchTime < emulatedMouseEventWindow) {
+		return;
+	} else {
+		point = { x: event.pageX, y: event.pageY };
+	}
+
+	var coords = this.windowToUISpace(point.x, point.y);
+	this.pointer = coords;
+	this.updateHoverState();
+
+	this.dispatchEvent(type, this.getDisplayObjectAt(coords.x, coords.y), coords, event);
+
+	if (type === 'pointerup' && event.type !== 'mouseup') {
+		// A lifted finger no longer hovers anything
+		this.pointer = null;
+		this.updateHoverState();
+	}
+};
+
+/**
+ * Used internally to dispatch an event to the given DisplayObject, after which it bubbles up through its parents
+ * Bubbling stops when a listener calls event.stopPropagation()
+ *
+ * @param {string} type
+ * @param {ThreeUI.DisplayObject} target
+ * @param {Object} coords x,y coordinates in UI space
+ * @param {Event} originalEvent
+ */
+
+ThreeUI.prototype.dispatchEvent = function(type, target, coords, originalEvent) {
+	if (!target) return;
+
+	// Determine the propagation path up front, so state changes in listeners do not impact it
+	var path = [];
+	var displayObject = target;
+	while (displayObject && path.indexOf(displayObject) === -1) {
+		path.push(displayObject);
+		displayObject = displayObject.parent;
+	}
+
+	var event = new InteractionEvent(type, target, coords.x, coords.y, originalEvent);
+
+	var length = path.length;
+	for (var i = 0;i < length;i++) {
+		this.callListeners(type, path[i], event);
+
+		if (event.propagationStopped) break;
+	}
+};
+
+/**
+ * Used internally to keep track of which DisplayObjects are under the pointer,
+ * calls pointerenter and pointerleave listeners for DisplayObjects whose hover state changed
+ *
+ * The topmost DisplayObject under the pointer and all of its parents are considered hovered
+ */
+
+ThreeUI.prototype.updateHoverState = function() {
+	var coords = this.pointer;
+	var previouslyHovered = this.hoveredObjects;
+
+	var hovered = [];
+	var displayObject = coords ? this.getDisplayObjectAt(coords.x, coords.y) : null;
+	while (displayObject && hovered.indexOf(displayObject) === -1) {
+		hovered.push(displayObject);
+		displayObject = displayObject.parent;
+	}
+
+	this.hoveredObjects = hovered;
 
-		var bounds = displayObject.getBounds();
-		if (ThreeUI.isInBoundingBox(coords.x, coords.y, bounds.x, bounds.y, bounds.width, bounds.height)) {
-			// Put listeners in a queue first, so state changes do not impact checking other click handlers
-			callbackQueue.push(listener.callback);
+	var leaveCoords = coords || this.lastPointer;
+	previouslyHovered.forEach(function(displayObject) {
+		if (hovered.indexOf(displayObject) === -1) {
+			displayObject.hovered = false;
+			this.callListeners('pointerleave', displayObject, new InteractionEvent('pointerleave', displayObject, leaveCoords.x, leaveCoords.y));
 		}
-	});
+	}, this);
+
+	hovered.forEach(function(displayObject) {
+		if (previouslyHovered.indexOf(displayObject) === -1) {
+			displayObject.hovered = true;
+			this.callListeners('pointerenter', displayObject, new InteractionEvent('pointerenter', displayObject, coords.x, coords.y));
+		}
+	}, this);
+
+	if (coords) {
+		this.lastPointer = coords;
+	}
+};
+
+/**
+ * Used internally to call the listeners of the given type registered on a single DisplayObject
+ *
+ * @param {string} type
+ * @param {ThreeUI.DisplayObject} displayObject
+ * @param {InteractionEvent} event
+ */
 
-	callbackQueue.forEach(function(callback){
-		callback();
+ThreeUI.prototype.callListeners = function(type, displayObject, event) {
+	event.currentTarget = displayObject;
+
+	this.eventListeners[type].filter(function(listener) {
+		return listener.displayObject === displayObject;
+	}).forEach(function(listener) {
+		listener.callback(displayObject, event);
 	});
 };
 
+/**
+ * Find the topmost DisplayObject at the given point that can receive events, based on draw order
+ *
+ * @param {int} x
+ * @param {int} y
+ *
+ * @return {ThreeUI.DisplayObject|null}
+ */
+
+ThreeUI.prototype.getDisplayObjectAt = function(x, y) {
+	var displayObjects = this.getDisplayObjectsInDrawOrder();
+	for (var i = displayObjects.length - 1;i >= 0;i--) {
+		var displayObject = displayObjects[i];
+		if (!displayObject.shouldReceiveEvents()) continue;
+
+		if (displayObject.hitTest(x, y)) {
+			return displayObject;
+		}
+	}
+
+	return null;
+};
+
 /**
  * Helper method that converts a point to UI space from window space
  *
@@ -373,12 +1493,17 @@ ThreeUI.prototype.windowToUISpace = function(x, y) {
 }
 
 /**
- * Moves a ui element to the back of the displayobject queue
+ * Moves a ui element to the back of the displayobject queue (or its parent's children)
  * which causes it to render above other objects
  *
  * @param {ThreeUI.DisplayObject} displayObject
  */
 ThreeUI.prototype.moveToFront = function(displayObject) {
+	if (displayObject.parent) {
+		displayObject.parent.addChild(displayObject);
+		return;
+	}
+
 	var elIdx = this.displayObjects.indexOf(displayObject);
 
 	if (elIdx > -1) {
@@ -386,6 +1511,7 @@ ThreeUI.prototype.moveToFront = function(displayObject) {
 	}
 
 	this.displayObjects.push(displayObject);
+	this.markDirty(displayObject);
 };
 
 /**
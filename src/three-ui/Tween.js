@@ -0,0 +1,325 @@
+var easing = require('./easing.js');
+
+/**
+ * Tween
+ *
+ * Animates numeric properties of an object towards the given values, nested objects (i.e. scale: { x: 2 }) are supported
+ * Tweens are advanced by ThreeUI.update
+ *
+ * Used internally by ThreeUI, shouldn't be used directly
+ * Use ThreeUI.tween instead to create tweens
+ *
+ * @param {ThreeUI} ui
+ * @param {Object} target
+ * @param {Object} properties The values to tween to
+ * @param {int} duration In milliseconds
+ * @param {Function|string} easingFunction Function or name of a function in ThreeUI.easing -- Default: linear
+ */
+
+var Tween = function(ui, target, properties, duration, easingFunction) {
+	this.ui = ui;
+	this.target = target;
+	this.properties = properties;
+	this.duration = typeof duration !== 'undefined' ? duration : 0;
+
+	if (typeof easingFunction === 'function') {
+		this.easing = easingFunction;
+	} else if (typeof easingFunction === 'undefined') {
+		this.easing = easing.linear;
+	} else if (easing[easingFunction]) {
+		this.easing = easing[easingFunction];
+	} else {
+		throw new Error('Unknown easing function "' + easingFunction + '"');
+	}
+
+	this.delayTime = 0;
+	this.repeatCount = 0;
+	this.yoyoEnabled = false;
+
+	this.elapsed = 0;
+	this.repeated = 0;
+	this.reversed = false;
+	this.finished = false;
+	this.startValues = null; // Captured when the tween starts animating, after its delay
+
+	this.completeCallbacks = [];
+	this.chainedTweens = [];
+	this.promise = null;
+	this.resolvePromise = null;
+};
+
+/**
+ * Wait before starting to animate
+ *
+ * @param {int} delay In milliseconds
+ * @return {Tween} this
+ */
+
+Tween.prototype.delay = function(delay) {
+	this.delayTime = delay;
+	return this;
+};
+
+/**
+ * Play the tween again after it's done
+ *
+ * @param {int} count Number of extra times to play, use Infinity to repeat forever
+ * @return {Tween} this
+ */
+
+Tween.prototype.repeat = function(count) {
+	this.repeatCount = count;
+	return this;
+};
+
+/**
+ * Play every repetition in the opposite direction of the previous one
+ *
+ * @param {bool} enabled -- Default: true
+ * @return {Tween} this
+ */
+
+Tween.prototype.yoyo = function(enabled) {
+	this.yoyoEnabled = typeof enabled !== 'undefined' ? enabled : true;
+	return this;
+};
+
+/**
+ * Call a callback when the tween is done, including all repetitions
+ *
+ * @param {Function} callback Is passed the target of the tween
+ * @return {Tween} this
+ */
+
+Tween.prototype.onComplete = function(callback) {
+	this.completeCallbacks.push(callback);
+	return this;
+};
+
+/**
+ * Start another tween when this one is done
+ *
+ * @param {Tween} tween
+ * @return {Tween} the chained tween
+ */
+
+Tween.prototype.chain = function(tween) {
+	// Make sure the chained tween doesn't run until this one is done
+	var tweenIdx = this.ui.tweens.indexOf(tween);
+	if (tweenIdx > -1) {
+		this.ui.tweens.splice(tweenIdx, 1);
+	}
+
+	this.chainedTweens.push(tween);
+	return tween;
+};
+
+/**
+ * Tween the same target to new values when this tween is done
+ *
+ * @param {Object} properties
+ * @param {int} duration
+ * @param {Function|string} easingFunction
+ * @return {Tween} the chained tween
+ */
+
+Tween.prototype.to = function(properties, duration, easingFunction) {
+	return this.chain(new Tween(this.ui, this.target, properties, duration, easingFunction));
+};
+
+/**
+ * Promise-like completion, so tweens can be awaited
+ * Resolves with the target when the tween completes or is stopped, also when it's stopped by destroying the target
+ * Chained tweens of a stopped tween never start, they resolve right away as well
+ *
+ * @param {Function} onFulfilled Is passed the target of the tween
+ * @param {Function} onRejected
+ * @return {Promise}
+ */
+
+Tween.prototype.then = function(onFulfilled, onRejected) {
+	if (!this.promise) {
+		var self = this;
+		this.promise = new Promise(function(resolve) {
+			if (self.finished) {
+				resolve(self.target);
+			} else {
+				self.resolvePromise = resolve;
+			}
+		});
+	}
+
+	return this.promise.then(onFulfilled, onRejected);
+};
+
+/**
+ * Start running this tween, done automatically by ThreeUI.tween
+ *
+ * @return {Tween} this
+ */
+
+Tween.prototype.start = function() {
+	if (this.ui.tweens.indexOf(this) === -1) {
+		this.ui.tweens.push(this);
+	}
+
+	return this;
+};
+
+/**
+ * Stop this tween, completion callbacks and chained tweens are only called when jumping to the end
+ * Otherwise the chained tweens are stopped as well
+ *
+ * @param {bool} jumpToEnd Set the target to the values of the end of the current repetition and complete
+ */
+
+Tween.prototype.stop = function(jumpToEnd) {
+	if (this.finished) return;
+
+	if (jumpToEnd) {
+		this.startValues = this.startValues || captureValues(this.target, this.properties);
+		this.apply(this.reversed ? 0 : 1);
+		this.complete();
+	} else {
+		this.finished = true;
+		this.settlePromise();
+
+		this.chainedTweens.forEach(function(tween) {
+			tween.stop();
+		});
+	}
+};
+
+/**
+ * Advance this tween, called by ThreeUI.update
+ *
+ * @param {int} deltaTime In milliseconds
+ */
+
+Tween.prototype.update = function(deltaTime) {
+	if (this.finished) return;
+
+	this.elapsed += deltaTime;
+	if (this.elapsed < this.delayTime) return;
+
+	if (!this.startValues) {
+		this.startValues = captureValues(this.target, this.properties);
+	}
+
+	var time = this.elapsed - this.delayTime;
+	var progress = this.duration > 0 ? Math.min(1, time / this.duration) : 1;
+
+	this.apply(this.reversed ? 1 - progress : progress);
+
+	if (progress < 1) return;
+
+	if (this.repeated < this.repeatCount) {
+		this.repeated++;
+
+		// Keep the time that overshot the end of this repetition
+		this.elapsed = this.delayTime + Math.max(0, time - this.duration);
+
+		if (this.yoyoEnabled) {
+			this.reversed = !this.reversed;
+		}
+	} else {
+		this.complete();
+	}
+};
+
+/**
+ * Used internally to set the target's properties to the given progress
+ *
+ * @param {float} progress between 0 and 1
+ */
+
+Tween.prototype.apply = function(progress) {
+	var changed = interpolate(this.target, this.startValues, this.properties, this.easing(progress));
+
+	// Nested objects (i.e. scale) are not observed, so always flag changes for a redraw
+	if (changed) {
+		this.ui.markDirty(this.target);
+	}
+};
+
+/**
+ * Used internally to finish this tween
+ */
+
+Tween.prototype.complete = function() {
+	this.finished = true;
+
+	var target = this.target;
+	this.completeCallbacks.forEach(function(callback) {
+		callback(target);
+	});
+
+	this.settlePromise();
+
+	this.chainedTweens.forEach(function(tween) {
+		tween.start();
+	});
+};
+
+/**
+ * Used internally to resolve the promise of this tween once it's finished
+ */
+
+Tween.prototype.settlePromise = function() {
+	if (this.resolvePromise) {
+		this.resolvePromise(this.target);
+		this.resolvePromise = null;
+	}
+};
+
+/**
+ * Copy the current values of the target for all properties that will be tweened
+ *
+ * @param {Object} target
+ * @param {Object} properties
+ * @return {Object} values
+ */
+
+var captureValues = function(target, properties) {
+	var values = {};
+	Object.keys(properties).forEach(function(key) {
+		if (typeof properties[key] === 'object') {
+			values[key] = captureValues(target[key], properties[key]);
+		} else {
+			values[key] = target[key];
+		}
+	});
+
+	return values;
+};
+
+/**
+ * Set the properties of the target between their start and end values
+ *
+ * @param {Object} target
+ * @param {Object} startValues
+ * @param {Object} endValues
+ * @param {float} progress
+ * @return {bool} Whether any of the values changed
+ */
+
+var interpolate = function(target, startValues, endValues, progress) {
+	var changed = false;
+	Object.keys(endValues).forEach(function(key) {
+		if (typeof endValues[key] === 'object') {
+			changed = interpolate(target[key], startValues[key], endValues[key], progress) || changed;
+			return;
+		}
+
+		var value = startValues[key] + (endValues[key] - startValues[key]) * progress;
+		if (target[key] !== value) {
+			target[key] = value;
+			changed = true;
+		}
+	});
+
+	return changed;
+};
+
+// Export Tween as module
+module.exports = Tween;
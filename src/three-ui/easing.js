@@ -0,0 +1,79 @@
+/**
+ * Easing functions for tweens
+ *
+ * Each function takes the progress of a tween between 0 and 1, and returns the eased progress
+ * The In variants start slow, the Out variants end slow and the InOut variants do both
+ */
+
+var backOvershoot = 1.70158;
+
+var easeOut = function(easeIn) {
+	return function(t) {
+		return 1 - easeIn(1 - t);
+	};
+};
+
+var easeInOut = function(easeIn) {
+	return function(t) {
+		return t < .5 ? easeIn(t * 2) / 2 : 1 - easeIn((1 - t) * 2) / 2;
+	};
+};
+
+var power = function(exponent) {
+	return function(t) {
+		return Math.pow(t, exponent);
+	};
+};
+
+var bounceOut = function(t) {
+	if (t < 1 / 2.75) {
+		return 7.5625 * t * t;
+	} else if (t < 2 / 2.75) {
+		t -= 1.5 / 2.75;
+		return 7.5625 * t * t + .75;
+	} else if (t < 2.5 / 2.75) {
+		t -= 2.25 / 2.75;
+		return 7.5625 * t * t + .9375;
+	}
+
+	t -= 2.625 / 2.75;
+	return 7.5625 * t * t + .984375;
+};
+
+var easeIns = {
+	quad: power(2),
+	cubic: power(3),
+	quart: power(4),
+	quint: power(5),
+	sine: function(t) {
+		return 1 - Math.cos(t * Math.PI / 2);
+	},
+	expo: function(t) {
+		return t === 0 ? 0 : Math.pow(2, 10 * (t - 1));
+	},
+	circ: function(t) {
+		return 1 - Math.sqrt(1 - t * t);
+	},
+	back: function(t) {
+		return t * t * ((backOvershoot + 1) * t - backOvershoot);
+	},
+	elastic: function(t) {
+		if (t === 0 || t === 1) return t;
+		return -Math.pow(2, 10 * (t - 1)) * Math.sin((t - 1.075) * (2 * Math.PI) / .3);
+	},
+	bounce: easeOut(bounceOut),
+};
+
+var easing = {
+	linear: function(t) {
+		return t;
+	},
+};
+
+Object.keys(easeIns).forEach(function(name) {
+	easing[name + 'In'] = easeIns[name];
+	easing[name + 'Out'] = easeOut(easeIns[name]);
+	easing[name + 'InOut'] = easeInOut(easeIns[name]);
+});
+
+module.exports = easing;
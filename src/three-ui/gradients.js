@@ -0,0 +1,143 @@
+/**
+ * Gradient fills, can be used instead of a color for the fill of Text and Rectangles, and the border of Rectangles
+ *
+ * Gradients are defined relative to the bounds of the DisplayObject, where 0,0 is its top left and 1,1 its bottom right corner
+ * Radii of radial gradients are relative to the largest side of the bounds
+ * Stops are either colors, which are spread out evenly, or [offset, color] pairs with an offset between 0 and 1
+ */
+
+/**
+ * Linear gradient between two points
+ *
+ * @param {Array} stops
+ * @param {float} x0
+ * @param {float} y0
+ * @param {float} x1
+ * @param {float} y1
+ * @return {Object} gradient
+ */
+
+var linear = function(stops, x0, y0, x1, y1) {
+	return {
+		type: 'linear',
+		stops: stops,
+		x0: x0,
+		y0: y0,
+		x1: x1,
+		y1: y1,
+	};
+};
+
+/**
+ * Linear gradient from top to bottom
+ *
+ * @param {Array} stops
+ * @return {Object} gradient
+ */
+
+var vertical = function(stops) {
+	return linear(stops, 0, 0, 0, 1);
+};
+
+/**
+ * Linear gradient from left to right
+ *
+ * @param {Array} stops
+ * @return {Object} gradient
+ */
+
+var horizontal = function(stops) {
+	return linear(stops, 0, 0, 1, 0);
+};
+
+/**
+ * Radial gradient between two circles, by default from the center out to the edge of the largest side
+ *
+ * @param {Array} stops
+ * @param {float} x0 -- Default: .5
+ * @param {float} y0 -- Default: .5
+ * @param {float} r0 -- Default: 0
+ * @param {float} x1 -- Default: x0
+ * @param {float} y1 -- Default: y0
+ * @param {float} r1 -- Default: .5
+ * @return {Object} gradient
+ */
+
+var radial = function(stops, x0, y0, r0, x1, y1, r1) {
+	x0 = typeof x0 !== 'undefined' ? x0 : .5;
+	y0 = typeof y0 !== 'undefined' ? y0 : .5;
+
+	return {
+		type: 'radial',
+		stops: stops,
+		x0: x0,
+		y0: y0,
+		r0: typeof r0 !== 'undefined' ? r0 : 0,
+		x1: typeof x1 !== 'undefined' ? x1 : x0,
+		y1: typeof y1 !== 'undefined' ? y1 : y0,
+		r1: typeof r1 !== 'undefined' ? r1 : .5,
+	};
+};
+
+/**
+ * Is the given fill a gradient created by one of the functions above
+ *
+ * @param {*} fill
+ * @return {bool}
+ */
+
+var isGradient = function(fill) {
+	return !!fill && typeof fill === 'object' && Array.isArray(fill.stops);
+};
+
+/**
+ * Turn a color or gradient into something that can be assigned to fillStyle or strokeStyle
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {string|Object} fill Color or gradient
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @return {string|CanvasGradient}
+ */
+
+var toFillStyle = function(context, fill, x, y, width, height) {
+	if (!isGradient(fill)) {
+		return fill;
+	}
+
+	var gradient;
+	if (fill.type === 'radial') {
+		var size = Math.max(width, height);
+		gradient = context.createRadialGradient(
+			x + fill.x0 * width, y + fill.y0 * height, fill.r0 * size,
+			x + fill.x1 * width, y + fill.y1 * height, fill.r1 * size
+		);
+	} else {
+		gradient = context.createLinearGradient(
+			x + fill.x0 * width, y + fill.y0 * height,
+			x + fill.x1 * width, y + fill.y1 * height
+		);
+	}
+
+	var stops = fill.stops;
+	stops.forEach(function(stop, idx) {
+		if (Array.isArray(stop)) {
+			gradient.addColorStop(stop[0], stop[1]);
+		} else {
+			gradient.addColorStop(stops.length > 1 ? idx / (stops.length - 1) : 0, stop);
+		}
+	});
+
+	return gradient;
+};
+
+module.exports = {
+	linear: linear,
+	vertical: vertical,
+	horizontal: horizontal,
+	radial: radial,
+	isGradient: isGradient,
+	toFillStyle: toFillStyle,
+};
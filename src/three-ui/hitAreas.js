@@ -0,0 +1,118 @@
+/**
+ * Hit area shapes, set one as DisplayObject.hitArea to replace its bounds for hit testing
+ *
+ * All coordinates are in the local space of the DisplayObject, where 0,0 is its top left corner
+ * before any scale, rotation or skew is applied
+ */
+
+/**
+ * Circle
+ *
+ * @param {int} x center
+ * @param {int} y center
+ * @param {int} radius
+ * @return {Object} hit area
+ */
+
+var circle = function(x, y, radius) {
+	return ellipse(x, y, radius, radius);
+};
+
+/**
+ * Ellipse
+ *
+ * @param {int} x center
+ * @param {int} y center
+ * @param {int} radiusX
+ * @param {int} radiusY
+ * @return {Object} hit area
+ */
+
+var ellipse = function(x, y, radiusX, radiusY) {
+	return {
+		contains: function(pointX, pointY) {
+			if (radiusX <= 0 || radiusY <= 0) return false;
+
+			var normalizedX = (pointX - x) / radiusX;
+			var normalizedY = (pointY - y) / radiusY;
+
+			return normalizedX * normalizedX + normalizedY * normalizedY <= 1;
+		},
+	};
+};
+
+/**
+ * Polygon
+ *
+ * @param {Object[]} points Array of {x, y} points, the polygon is closed automatically
+ * @return {Object} hit area
+ */
+
+var polygon = function(points) {
+	return {
+		contains: function(pointX, pointY) {
+			// Even-odd rule, count the edges a horizontal ray from the point crosses
+			var inside = false;
+			var length = points.length;
+			for (var i = 0, j = length - 1;i < length;j = i++) {
+				var a = points[i];
+				var b = points[j];
+
+				if ((a.y > pointY) !== (b.y > pointY) && pointX < (b.x - a.x) * (pointY - a.y) / (b.y - a.y) + a.x) {
+					inside = !inside;
+				}
+			}
+
+			return inside;
+		},
+	};
+};
+
+/**
+ * Rectangle
+ *
+ * @param {int} x
+ * @param {int} y
+ * @param {int} width
+ * @param {int} height
+ * @return {Object} hit area
+ */
+
+var rectangle = function(x, y, width, height) {
+	return {
+		contains: function(pointX, pointY) {
+			return pointX >= x && pointX <= x + width && pointY >= y && pointY <= y + height;
+		},
+	};
+};
+
+/**
+ * The bounds of the DisplayObject itself, inflated by the given padding, negative padding deflates them instead
+ * Takes css-like arguments: (all), (vertical, horizontal) or (top, right, bottom, left)
+ *
+ * @param {int} top
+ * @param {int} right
+ * @param {int} bottom
+ * @param {int} left
+ * @return {Object} hit area
+ */
+
+var padding = function(top, right, bottom, left) {
+	right = typeof right !== 'undefined' ? right : top;
+	bottom = typeof bottom !== 'undefined' ? bottom : top;
+	left = typeof left !== 'undefined' ? left : right;
+
+	return {
+		contains: function(pointX, pointY, width, height) {
+			return rectangle(-left, -top, width + left + right, height + top + bottom).contains(pointX, pointY);
+		},
+	};
+};
+
+module.exports = {
+	circle: circle,
+	ellipse: ellipse,
+	polygon: polygon,
+	rectangle: rectangle,
+	padding: padding,
+};
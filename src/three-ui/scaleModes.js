@@ -0,0 +1,10 @@
+/**
+ * Different ways to derive the UI dimensions from the game canvas, see ThreeUI.setScaleMode
+ */
+
+module.exports = {
+	fixedHeight: 'fixedHeight', // The UI height is the design height, the width follows the aspect ratio of the game canvas
+	fixedWidth: 'fixedWidth', // The UI width is the design width, the height follows the aspect ratio of the game canvas
+	fit: 'fit', // The whole design area is visible, with extra space on one axis
+	fill: 'fill' // The design area covers the game canvas, part of it falls outside on one axis
+};
@@ -0,0 +1,181 @@
+/**
+ * Parser for AngelCode BMFont data, as exported by BMFont, Hiero, msdf-bmfont etc.
+ * Supports the text (.fnt), XML and JSON formats
+ *
+ * Fonts are normalized to:
+ * {
+ *   lineHeight, base,
+ *   pages: [file],
+ *   glyphs: { character: { x, y, width, height, xoffset, yoffset, xadvance, page } },
+ *   kernings: { firstCharacter: { secondCharacter: amount } }
+ * }
+ */
+
+var numericAttributes = ['id', 'x', 'y', 'width', 'height', 'xoffset', 'yoffset', 'xadvance', 'page', 'lineHeight', 'base', 'first', 'second', 'amount'];
+
+/**
+ * Is the given data in one of the BMFont formats
+ *
+ * @param {string|Object|Document} data
+ * @return {bool}
+ */
+
+var isBMFont = function(data) {
+	if (typeof data === 'string') {
+		return /^\s*(info|common|<\?xml|<font)/.test(data);
+	}
+
+	return !!data && (Array.isArray(data['chars']) || typeof data['documentElement'] !== 'undefined');
+};
+
+/**
+ * Parse BMFont data in any of the supported formats
+ *
+ * @param {string|Object|Document} data Text or XML as a string, an XML Document, or parsed JSON
+ * @return {Object} font
+ */
+
+var parse = function(data) {
+	if (typeof data !== 'string' && typeof data['documentElement'] !== 'undefined') {
+		data = new XMLSerializer().serializeToString(data);
+	}
+
+	var tags;
+	if (typeof data === 'string') {
+		tags = data.trim().charAt(0) === '<' ? parseXMLTags(data) : parseTextTags(data);
+	} else {
+		tags = jsonToTags(data);
+	}
+
+	var font = {
+		lineHeight: 0,
+		base: 0,
+		pages: [],
+		glyphs: {},
+		kernings: {},
+	};
+
+	tags.forEach(function(tag) {
+		var attributes = tag.attributes;
+
+		if (tag.name === 'common') {
+			font.lineHeight = attributes.lineHeight;
+			font.base = attributes.base;
+		} else if (tag.name === 'page') {
+			font.pages[attributes.id] = attributes.file;
+		} else if (tag.name === 'char') {
+			font.glyphs[String.fromCharCode(attributes.id)] = {
+				x: attributes.x,
+				y: attributes.y,
+				width: attributes.width,
+				height: attributes.height,
+				xoffset: attributes.xoffset || 0,
+				yoffset: attributes.yoffset || 0,
+				xadvance: attributes.xadvance,
+				page: attributes.page || 0,
+			};
+		} else if (tag.name === 'kerning') {
+			var first = String.fromCharCode(attributes.first);
+			font.kernings[first] = font.kernings[first] || {};
+			font.kernings[first][String.fromCharCode(attributes.second)] = attributes.amount;
+		}
+	});
+
+	return font;
+};
+
+/**
+ * Read the tags of the text format, every line is a tag followed by key=value attributes
+ *
+ * @param {string} text
+ * @return {Object[]} tags [{name, attributes}]
+ */
+
+var parseTextTags = function(text) {
+	return text.split(/\r?\n/).filter(function(line) {
+		return line.trim().length > 0;
+	}).map(function(line) {
+		var name = line.trim().split(/\s+/)[0];
+		return {
+			name: name,
+			attributes: parseAttributes(line.trim().substr(name.length)),
+		};
+	});
+};
+
+/**
+ * Read the tags of the XML format, every element is a tag with its attributes
+ *
+ * @param {string} xml
+ * @return {Object[]} tags [{name, attributes}]
+ */
+
+var parseXMLTags = function(xml) {
+	var tags = [];
+	var tagRegex = /<(info|common|page|char|kerning)\s([^>]*?)\/?>/g;
+
+	var match;
+	while ((match = tagRegex.exec(xml)) !== null) {
+		tags.push({
+			name: match[1],
+			attributes: parseAttributes(match[2]),
+		});
+	}
+
+	return tags;
+};
+
+/**
+ * Parse key=value or key="value" attributes, numeric attributes are converted to numbers
+ *
+ * @param {string} text
+ * @return {Object} attributes
+ */
+
+var parseAttributes = function(text) {
+	var attributes = {};
+	var attributeRegex = /(\w+)=(?:"([^"]*)"|(\S+))/g;
+
+	var match;
+	while ((match = attributeRegex.exec(text)) !== null) {
+		var key = match[1];
+		var value = typeof match[2] !== 'undefined' ? match[2] : match[3];
+		attributes[key] = numericAttributes.indexOf(key) > -1 ? parseFloat(value) : value;
+	}
+
+	return attributes;
+};
+
+/**
+ * Convert the JSON format to the same tags as the other formats
+ *
+ * @param {Object} json
+ * @return {Object[]} tags [{name, attributes}]
+ */
+
+var jsonToTags = function(json) {
+	var tags = [];
+	var toTag = function(name) {
+		return function(attributes) {
+			tags.push({ name: name, attributes: attributes });
+		};
+	};
+
+	if (json['common']) {
+		toTag('common')(json['common']);
+	}
+
+	(json['pages'] || []).forEach(function(file, id) {
+		toTag('page')({ id: id, file: file });
+	});
+
+	(json['chars'] || []).forEach(toTag('char'));
+	(json['kernings'] || []).forEach(toTag('kerning'));
+
+	return tags;
+};
+
+module.exports = {
+	isBMFont: isBMFont,
+	parse: parse,
+};
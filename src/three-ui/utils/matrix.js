@@ -0,0 +1,80 @@
+/**
+ * 2D affine matrix helpers
+ *
+ * Matrices are arrays [a, b, c, d, e, f], in the same order as CanvasRenderingContext2D.setTransform
+ * A point is transformed as x' = a * x + c * y + e, y' = b * x + d * y + f
+ */
+
+var identity = function() {
+	return [1, 0, 0, 1, 0, 0];
+};
+
+var isIdentity = function(m) {
+	return m[0] === 1 && m[1] === 0 && m[2] === 0 && m[3] === 1 && m[4] === 0 && m[5] === 0;
+};
+
+var multiply = function(m, n) {
+	return [
+		m[0] * n[0] + m[2] * n[1],
+		m[1] * n[0] + m[3] * n[1],
+		m[0] * n[2] + m[2] * n[3],
+		m[1] * n[2] + m[3] * n[3],
+		m[0] * n[4] + m[2] * n[5] + m[4],
+		m[1] * n[4] + m[3] * n[5] + m[5],
+	];
+};
+
+var translate = function(m, x, y) {
+	return multiply(m, [1, 0, 0, 1, x, y]);
+};
+
+var rotate = function(m, radians) {
+	var cos = Math.cos(radians);
+	var sin = Math.sin(radians);
+	return multiply(m, [cos, sin, -sin, cos, 0, 0]);
+};
+
+var scale = function(m, x, y) {
+	return multiply(m, [x, 0, 0, y, 0, 0]);
+};
+
+var skew = function(m, radiansX, radiansY) {
+	return multiply(m, [1, Math.tan(radiansY), Math.tan(radiansX), 1, 0, 0]);
+};
+
+/**
+ * @return {Array|null} inverted matrix, null when the matrix can't be inverted (i.e. scaled to 0)
+ */
+
+var invert = function(m) {
+	var determinant = m[0] * m[3] - m[1] * m[2];
+	if (determinant === 0) return null;
+
+	return [
+		m[3] / determinant,
+		-m[1] / determinant,
+		-m[2] / determinant,
+		m[0] / determinant,
+		(m[2] * m[5] - m[3] * m[4]) / determinant,
+		(m[1] * m[4] - m[0] * m[5]) / determinant,
+	];
+};
+
+var apply = function(m, x, y) {
+	return {
+		x: m[0] * x + m[2] * y + m[4],
+		y: m[1] * x + m[3] * y + m[5],
+	};
+};
+
+module.exports = {
+	identity: identity,
+	isIdentity: isIdentity,
+	multiply: multiply,
+	translate: translate,
+	rotate: rotate,
+	scale: scale,
+	skew: skew,
+	invert: invert,
+	apply: apply,
+};
@@ -0,0 +1,98 @@
+/**
+ * Axis-aligned rectangle helpers, used to track the parts of the canvas that need a redraw
+ *
+ * Rectangles are objects {x, y, width, height}
+ */
+
+/**
+ * Do two rectangles overlap, rectangles that only touch don't
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {bool}
+ */
+
+var intersects = function(a, b) {
+	return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+};
+
+/**
+ * Get the smallest rectangle containing both rectangles
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @return {Object}
+ */
+
+var union = function(a, b) {
+	var x = Math.min(a.x, b.x);
+	var y = Math.min(a.y, b.y);
+
+	return {
+		x: x,
+		y: y,
+		width: Math.max(a.x + a.width, b.x + b.width) - x,
+		height: Math.max(a.y + a.height, b.y + b.height) - y
+	};
+};
+
+/**
+ * Combine overlapping rectangles until none of them overlap anymore
+ *
+ * @param {Object[]} rects
+ * @return {Object[]}
+ */
+
+var merge = function(rects) {
+	var merged = rects.slice();
+
+	for (var i = 0;i < merged.length;i++) {
+		for (var j = i + 1;j < merged.length;j++) {
+			if (intersects(merged[i], merged[j])) {
+				merged[i] = union(merged[i], merged[j]);
+				merged.splice(j, 1);
+
+				// The combined rectangle might overlap ones that were checked before
+				i = -1;
+				break;
+			}
+		}
+	}
+
+	return merged;
+};
+
+/**
+ * Grow a rectangle outwards to whole pixels at the given resolution, and clip it to the given size
+ *
+ * @param {Object} rect
+ * @param {float} resolution Pixels per unit
+ * @param {float} maxWidth
+ * @param {float} maxHeight
+ * @return {Object|null} null when nothing of the rectangle is left
+ */
+
+var snap = function(rect, resolution, maxWidth, maxHeight) {
+	var x = Math.max(0, Math.floor(rect.x * resolution) / resolution);
+	var y = Math.max(0, Math.floor(rect.y * resolution) / resolution);
+	var right = Math.min(maxWidth, Math.ceil((rect.x + rect.width) * resolution) / resolution);
+	var bottom = Math.min(maxHeight, Math.ceil((rect.y + rect.height) * resolution) / resolution);
+
+	if (right <= x || bottom <= y) {
+		return null;
+	}
+
+	return {
+		x: x,
+		y: y,
+		width: right - x,
+		height: bottom - y
+	};
+};
+
+module.exports = {
+	intersects: intersects,
+	union: union,
+	merge: merge,
+	snap: snap,
+};
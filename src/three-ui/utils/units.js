@@ -0,0 +1,48 @@
+// A single term of an expression: an optional sign, a number and an optional unit
+var termRegex = /^\s*([+-]?)\s*([0-9]*\.?[0-9]+)\s*(%|px)?\s*/;
+
+/**
+ * Resolve a position or dimension to pixels
+ * Values can be numbers, percentages ('50%') or sums of those ('100% - 20', '50% + 10px')
+ * Percentages are relative to the given size, i.e. the size of the parent along the same axis
+ *
+ * @param {number|string} value
+ * @param {number} size
+ * @return {number}
+ */
+
+var resolve = function(value, size) {
+	if (typeof value === 'number') {
+		return value;
+	} else if (typeof value !== 'string') {
+		return 0;
+	}
+
+	var result = 0;
+	var rest = value;
+	var first = true;
+
+	while (rest.length > 0) {
+		var match = rest.match(termRegex);
+
+		// Every term after the first one needs an operator
+		if (!match || match[0].length === 0 || (!first && !match[1])) {
+			throw new Error('Invalid value "' + value + '", expected a number, a percentage or a sum like "100% - 20"');
+		}
+
+		var term = parseFloat(match[2]);
+		if (match[3] === '%') {
+			term = term / 100 * size;
+		}
+
+		result += match[1] === '-' ? -term : term;
+		rest = rest.substr(match[0].length);
+		first = false;
+	}
+
+	return result;
+};
+
+module.exports = {
+	resolve: resolve,
+};
@@ -0,0 +1,80 @@
+/**
+ * Word wrapping shared by Text, BitmapText and RichText
+ * Paragraphs are passed as arrays of units, usually characters, measured by the caller
+ */
+
+/**
+ * Whether lines can break at a character
+ *
+ * @param {string} character
+ * @return {bool}
+ */
+
+var isSpace = function(character) {
+	return character === ' ';
+};
+
+/**
+ * Split a paragraph into lines that fit within maxWidth, breaking on spaces
+ * Words that don't fit on a line by themselves are broken up
+ *
+ * @param {Array} units
+ * @param {float} maxWidth Lines aren't wrapped if this isn't a positive finite number
+ * @param {Function} measure Called with an array of units, returns their width
+ * @param {Function} isBreak Optional, called with a unit, returns whether lines can break at it, defaults to isSpace
+ * @return {Object[]} lines [{units, wrapped}] wrapped is false for the last line of the paragraph
+ */
+
+var wrap = function(units, maxWidth, measure, isBreak) {
+	if (!(maxWidth > 0) || maxWidth === Infinity) {
+		return [{ units: units, wrapped: false }];
+	}
+
+	isBreak = isBreak || isSpace;
+
+	// The unit a word follows is kept, so it can be put back when the word stays on the line
+	var words = [{ separator: null, units: [] }];
+	units.forEach(function(unit) {
+		if (isBreak(unit)) {
+			words.push({ separator: unit, units: [] });
+		} else {
+			words[words.length - 1].units.push(unit);
+		}
+	});
+
+	var fits = function(candidate) {
+		return measure(candidate) <= maxWidth;
+	};
+
+	var lines = [];
+	var current = [];
+	words.forEach(function(word, idx) {
+		var candidate = idx > 0 ? current.concat([word.separator], word.units) : word.units;
+
+		if (idx > 0 && !fits(candidate)) {
+			lines.push({ units: current, wrapped: true });
+			candidate = word.units;
+		}
+
+		while (candidate.length > 1 && !fits(candidate)) {
+			var length = 1;
+			while (length < candidate.length && fits(candidate.slice(0, length + 1))) {
+				length++;
+			}
+
+			lines.push({ units: candidate.slice(0, length), wrapped: true });
+			candidate = candidate.slice(length);
+		}
+
+		current = candidate;
+	});
+
+	lines.push({ units: current, wrapped: false });
+
+	return lines;
+};
+
+module.exports = {
+	isSpace: isSpace,
+	wrap: wrap,
+};